@@ -0,0 +1,291 @@
+// Analytics forwarding for POST /analytics. Events are fitted to the GA4
+// Measurement Protocol limits, stripped of personal data, queued in memory and
+// sent to GA4 in batches of up to 25 events per client. Failed batches (network
+// errors, 429 and 5xx) are retried with exponential backoff; close() sends what
+// is still queued on shutdown, anything left after that is lost.
+const fetch = require('node-fetch');
+const { logger: log } = require('./logger');
+const { metrics } = require('./metrics');
+
+const DEFAULT_COLLECT_URL = 'https://www.google-analytics.com/mp/collect';
+
+// Measurement Protocol limits
+const GA4_LIMITS = {
+  eventsPerRequest: 25,
+  paramsPerEvent: 25,
+  nameLength: 40,
+  paramValueLength: 100,
+  // GA4 drops events older than this
+  maxAgeMs: 72 * 60 * 60 * 1000
+};
+
+const NAME_RE = /^[A-Za-z][A-Za-z0-9_]*$/;
+const RESERVED_PREFIXES = ['_', 'firebase_', 'ga_', 'google_', 'gtag.'];
+const RESERVED_EVENTS = new Set([
+  'ad_activeview', 'ad_click', 'ad_exposure', 'ad_impression', 'ad_query', 'ad_reward', 'adunit_exposure',
+  'app_background', 'app_clear_data', 'app_exception', 'app_remove', 'app_store_refund', 'app_store_subscription_cancel',
+  'app_store_subscription_convert', 'app_store_subscription_renew', 'app_update', 'app_upgrade',
+  'dynamic_link_app_open', 'dynamic_link_app_update', 'dynamic_link_first_open', 'error', 'first_open', 'first_visit',
+  'in_app_purchase', 'notification_dismiss', 'notification_foreground', 'notification_open', 'notification_receive',
+  'os_update', 'session_start', 'session_start_with_rollout', 'user_engagement'
+]);
+
+// Name of an event sent without one
+const DEFAULT_EVENT_NAME = 'event';
+
+// Params the server adds to every event, so they count against paramsPerEvent
+const SERVER_PARAMS = ['user_id', 'session_id', 'prompt_version', 'server_timezone', 'server_time'];
+
+// Param keys that carry personal data are removed, as are values that look like an email address
+const PII_KEYS = new Set([
+  'email', 'emailaddress', 'mail', 'phone', 'phonenumber', 'mobile', 'name', 'firstname', 'lastname', 'fullname',
+  'username', 'address', 'streetaddress', 'postcode', 'zipcode', 'ip', 'ipaddress', 'password', 'token', 'apikey',
+  'accesstoken', 'ssn', 'dateofbirth', 'birthdate', 'creditcard', 'cardnumber'
+]);
+const EMAIL_IN_TEXT_RE = /[^\s@]+@[^\s@]+\.[^\s@]+/;
+
+const piiKey = (key) => PII_KEYS.has(key.toLowerCase().replace(/[^a-z]/g, ''));
+
+// Why `name` cannot be an event or param name, or null
+function nameProblem(name, { event = false } = {}) {
+  if (name.length > GA4_LIMITS.nameLength) return `must be at most ${GA4_LIMITS.nameLength} characters`;
+  if (!NAME_RE.test(name)) return 'must start with a letter and contain only letters, digits and underscores';
+  const lower = name.toLowerCase();
+  if (RESERVED_PREFIXES.some(p => lower.startsWith(p))) return 'uses a reserved prefix';
+  if (event && RESERVED_EVENTS.has(lower)) return 'is reserved by GA4';
+  return null;
+}
+
+// `name` as a GA4 name: other characters become "_", anything before the first
+// letter is dropped and it is cut to the length limit ("List opened!" -> "List_opened")
+function sanitizeName(name) {
+  return name.replace(/[^A-Za-z0-9_]+/g, '_').replace(/^[^A-Za-z]+|_+$/g, '').slice(0, GA4_LIMITS.nameLength);
+}
+
+// Fit one event ({ event, props, ts }) to GA4 and return { name, params, ts, stripped }
+// where `stripped` counts removed PII params, or null when it cannot be sent.
+// Names are sanitized; what is still wrong drops the param or the whole event
+// and is added to `issues`. `field` prefixes their field names ('' for a
+// single event in the body).
+function checkEvent(raw, field, issues, now) {
+  const at = (name) => (field ? `${field}.${name}` : name);
+  const drop = (f, message) => {
+    issues.push({ field: f, message: `${f} ${message}` });
+    return null;
+  };
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return drop(field, 'must be an object');
+  // Clients from before batching may leave the name out, as they always could
+  const given = raw.event === undefined ? DEFAULT_EVENT_NAME : raw.event;
+  if (typeof given !== 'string') return drop(at('event'), 'must be a string');
+  const name = sanitizeName(given);
+  const problem = name ? nameProblem(name, { event: true }) : 'must contain a letter';
+  if (problem) return drop(at('event'), problem);
+
+  if (raw.ts !== undefined && (typeof raw.ts !== 'number' || raw.ts > now + 60 * 1000 || raw.ts < now - GA4_LIMITS.maxAgeMs)) {
+    return drop(at('ts'), 'must be a millisecond timestamp within the last 72 hours');
+  }
+
+  const props = raw.props === undefined ? {} : raw.props;
+  if (!props || typeof props !== 'object' || Array.isArray(props)) return drop(at('props'), 'must be an object');
+  const params = {};
+  let stripped = 0;
+  for (const [key, value] of Object.entries(props)) {
+    const param = at(`props.${key}`);
+    if (value === null || value === undefined) continue;
+    if (piiKey(key) || (typeof value === 'string' && EMAIL_IN_TEXT_RE.test(value))) {
+      stripped++;
+      continue;
+    }
+    const paramName = sanitizeName(key);
+    // Clients may set user_id, session_id and prompt_version; the other server params are not theirs
+    const problem = !paramName ? 'must contain a letter'
+      : paramName.startsWith('server_') && SERVER_PARAMS.includes(paramName) ? 'is set by the server'
+      : nameProblem(paramName);
+    if (problem) drop(param, problem);
+    else if (!['string', 'number', 'boolean'].includes(typeof value)) drop(param, 'must be a string, number or boolean');
+    else params[paramName] = typeof value === 'string' ? value.slice(0, GA4_LIMITS.paramValueLength) : value;
+  }
+  const maxParams = GA4_LIMITS.paramsPerEvent - SERVER_PARAMS.filter(p => !(p in params)).length;
+  for (const key of Object.keys(params).slice(maxParams)) {
+    delete params[key];
+    drop(at(`props.${key}`), `is over the limit of ${maxParams} params`);
+  }
+
+  return { name, params, ts: raw.ts, stripped };
+}
+
+// The events of a /analytics body: one `event` (with props and ts) or an
+// `events` array. Returns { events, dropped, issues }: the events that can be
+// sent, how many could not and what was wrong with them ([{ field, message }]).
+function normalizeEvents(body, now = Date.now()) {
+  const issues = [];
+  const checked = body.events
+    ? body.events.map((raw, i) => checkEvent(raw, `events[${i}]`, issues, now))
+    : [checkEvent(body, '', issues, now)];
+  const events = checked.filter(Boolean);
+  return { events, dropped: checked.length - events.length, issues };
+}
+
+// GA4 events for one client, as in the original single-event forwarder. Each
+// carries its own timestamp_micros, so events batched together keep their times.
+// prompt_version is the client's own when it sent one (the promptVersion of a
+// response), else the template of that client's latest generation.
+function toGa4Event({ name, params, ts }, { anonId, promptVersion }) {
+  const time = ts || Date.now();
+  return {
+    name,
+    timestamp_micros: String(time * 1000),
+    params: {
+      ...params,
+      user_id: params.user_id || anonId || undefined,
+      session_id: params.session_id || `${anonId}_${Math.floor(time / (1000 * 60 * 30))}`, // 30-min sessions
+      prompt_version: params.prompt_version || promptVersion || undefined,
+      server_timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      server_time: new Date(time).toISOString()
+    }
+  };
+}
+
+// Retry network errors, throttling and server errors; other statuses are final
+const retryable = (status) => status === undefined || status === 429 || status >= 500;
+
+// `measurementId`/`apiSecret` unset means dev mode: events are only logged.
+// `collectUrl` can point at a local stand-in. Up to `maxQueue` events wait for
+// the next flush, every `flushIntervalMs` or as soon as a client has a full batch.
+function createAnalyticsForwarder({
+  measurementId,
+  apiSecret,
+  collectUrl = DEFAULT_COLLECT_URL,
+  flushIntervalMs = 5000,
+  maxQueue = 5000,
+  maxRetries = 5,
+  retryBaseMs = 1000
+} = {}) {
+  const configured = !!(measurementId && apiSecret);
+  const url = `${collectUrl}?measurement_id=${encodeURIComponent(measurementId || '')}&api_secret=${encodeURIComponent(apiSecret || '')}`;
+  // client key -> { anonId, ip, events: [ga4 event] }
+  const pending = new Map();
+  // Batches waiting for their next attempt: { payload, count, attempts, notBefore }
+  const retries = [];
+  let queued = 0;
+  let flushing = null;
+
+  async function send(batch) {
+    let status;
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(batch.payload),
+        timeout: 10000
+      });
+      status = res.status;
+      if (res.ok) {
+        queued -= batch.count;
+        metrics.analyticsForwards.inc({ result: 'success' }, batch.count);
+        log.debug('Analytics batch sent to GA4', { events: batch.count, attempts: batch.attempts + 1 });
+        return;
+      }
+      log.warn('GA4 rejected analytics batch', { status, events: batch.count, response: (await res.text()).slice(0, 500) });
+    } catch (err) {
+      log.warn('Analytics forward failed', { err, events: batch.count });
+    }
+
+    batch.attempts++;
+    if (retryable(status) && batch.attempts <= maxRetries) {
+      batch.notBefore = Date.now() + retryBaseMs * 2 ** (batch.attempts - 1);
+      retries.push(batch);
+      metrics.analyticsForwards.inc({ result: 'retry' }, batch.count);
+    } else {
+      queued -= batch.count;
+      metrics.analyticsForwards.inc({ result: 'failure' }, batch.count);
+    }
+  }
+
+  // Send every pending event and every retry that is due (or all of them),
+  // one request at a time
+  async function drain({ allRetries = false } = {}) {
+    const batches = [];
+    for (const [key, group] of pending) {
+      pending.delete(key);
+      for (let i = 0; i < group.events.length; i += GA4_LIMITS.eventsPerRequest) {
+        const events = group.events.slice(i, i + GA4_LIMITS.eventsPerRequest);
+        batches.push({
+          payload: {
+            client_id: group.anonId || 'anon',
+            user_id: group.anonId || undefined,
+            ...(group.ip && group.ip !== 'unknown' && { ip_override: group.ip }),
+            events
+          },
+          count: events.length,
+          attempts: 0
+        });
+      }
+    }
+    const now = Date.now();
+    for (let i = retries.length - 1; i >= 0; i--) {
+      if (allRetries || retries[i].notBefore <= now) batches.push(...retries.splice(i, 1));
+    }
+    for (const batch of batches) await send(batch);
+  }
+
+  function flush() {
+    if (!flushing) flushing = drain().finally(() => { flushing = null; });
+    return flushing;
+  }
+
+  const timer = configured ? setInterval(() => { if (queued) flush(); }, flushIntervalMs) : null;
+  if (timer && timer.unref) timer.unref();
+
+  return {
+    configured,
+
+    // Queue validated events (from normalizeEvents) for `anonId` from `ip`, tagged
+    // with `promptVersion` unless they carry their own. Returns how many were
+    // accepted; the rest were dropped because the queue is full.
+    enqueue(events, { anonId, ip, promptVersion } = {}) {
+      const stripped = events.reduce((sum, e) => sum + e.stripped, 0);
+      if (stripped) log.debug('Stripped personal data from analytics params', { params: stripped });
+      if (!configured) {
+        log.debug('Analytics events (GA4 not configured)', { events: events.map(e => ({ event: e.name, params: e.params, ts: e.ts })) });
+        return events.length;
+      }
+
+      const room = Math.max(0, maxQueue - queued);
+      const accepted = events.slice(0, room);
+      if (accepted.length < events.length) {
+        metrics.analyticsForwards.inc({ result: 'dropped' }, events.length - accepted.length);
+        log.warn('Analytics queue full, dropping events', { dropped: events.length - accepted.length, maxQueue });
+      }
+      if (!accepted.length) return 0;
+
+      const key = `${anonId || ''}\u0000${ip || ''}`;
+      const group = pending.get(key) || { anonId, ip, events: [] };
+      group.events.push(...accepted.map(e => toGa4Event(e, { anonId, promptVersion })));
+      pending.set(key, group);
+      queued += accepted.length;
+
+      if (group.events.length >= GA4_LIMITS.eventsPerRequest) flush();
+      return accepted.length;
+    },
+
+    flush,
+
+    // Events accepted but not yet delivered or given up on
+    size: () => queued,
+
+    stop() {
+      if (timer) clearInterval(timer);
+    },
+
+    // For shutdown: stop the timer and send everything still queued, retries
+    // without waiting out their backoff
+    async close() {
+      if (timer) clearInterval(timer);
+      if (flushing) await flushing;
+      await drain({ allRetries: true });
+    }
+  };
+}
+
+module.exports = { DEFAULT_COLLECT_URL, GA4_LIMITS, normalizeEvents, createAnalyticsForwarder };
@@ -0,0 +1,321 @@
+// Typed column schema for /generateTable: normalize the definitions sent by the
+// plugin, describe them to the model, and validate/coerce every returned cell.
+const { DAY_MS, createValues } = require('./values');
+const { httpError } = require('./errors');
+
+const COLUMN_TYPES = ['string', 'integer', 'decimal', 'currency', 'date', 'email', 'enum', 'boolean', 'id'];
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TRUE_WORDS = ['true', 'yes', 'y', '1', 'on', 'active', 'enabled'];
+const FALSE_WORDS = ['false', 'no', 'n', '0', 'off', 'inactive', 'disabled'];
+
+function schemaError(message) {
+  return httpError('VALIDATION_FAILED', message, [{ field: 'columns', message }]);
+}
+
+// "Order ID" -> "ORD", "User ID" -> "USR"
+function idPrefixFrom(name) {
+  const word = name.split(/\s+/).find(w => w && w.toLowerCase() !== 'id') || 'ID';
+  const letters = word.toUpperCase().replace(/[^A-Z]/g, '');
+  const consonants = letters[0] + letters.slice(1).replace(/[AEIOU]/g, '');
+  return (consonants.length >= 3 ? consonants : letters).slice(0, 3) || 'ID';
+}
+
+// The UTC midnight of year/month/day, or null when the day does not exist
+// ("2024-13-45" or "31.02.2024" do not roll over into a later month)
+function utcDate(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.getUTCFullYear() === year && d.getUTCMonth() === month - 1 && d.getUTCDate() === day ? d : null;
+}
+
+// Read a date written in `format` ("DD.MM.YYYY"); null when it does not match
+function parseFormattedDate(s, format) {
+  const order = format.match(/YYYY|MM|DD/g) || [];
+  if (order.length !== 3) return null;
+  const source = format
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/YYYY|MM|DD/g, t => (t === 'YYYY' ? '(\\d{4})' : '(\\d{1,2})'));
+  const m = s.match(new RegExp(`^${source}$`));
+  if (!m) return null;
+  const part = (t) => +m[order.indexOf(t) + 1];
+  return utcDate(part('YYYY'), part('MM'), part('DD'));
+}
+
+// An ISO date (a time after it is ignored) or a date in the column's `format`.
+// Nothing else is guessed at: Date.parse reads "Row 2" as a date.
+function parseDateValue(value, format) {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  const s = String(value).trim();
+  const iso = s.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/);
+  if (iso) return utcDate(+iso[1], +iso[2], +iso[3]);
+  return format && format !== 'YYYY-MM-DD' ? parseFormattedDate(s, format) : null;
+}
+
+// Supports YYYY, MM, DD tokens, e.g. "YYYY-MM-DD", "MM/DD/YYYY", "DD.MM.YYYY"
+function formatDate(d, format) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return format
+    .replace('YYYY', String(d.getUTCFullYear()))
+    .replace('MM', pad(d.getUTCMonth() + 1))
+    .replace('DD', pad(d.getUTCDate()));
+}
+
+// With a locale that writes "1.234,5" the separators are swapped first. A lone
+// "1.234" is read as a thousands group there; any other "." stays a decimal point
+// because models often fall back to English numbers.
+function parseNumber(value, locale) {
+  if (typeof value === 'number') return value;
+  let s = String(value).trim();
+  if (locale && locale.decimalSeparator === ',') {
+    s = s.replace(/[\s\u00a0\u202f'’]/g, '');
+    if (s.includes(',')) s = s.replace(/\./g, '').replace(',', '.');
+    else if (/^[^\d]*\d{1,3}(\.\d{3})+[^\d]*$/.test(s)) s = s.replace(/\./g, '');
+  }
+  s = s.replace(/[\s,\u00a0\u202f'’]/g, '').replace(/\u2212/g, '-');
+  // Accounting style "(5.00)" or "$(5.00)" is negative
+  const parens = /^[^\d()]*\([^()]*\)[^\d()]*$/.test(s);
+  if (parens) s = s.replace(/[()]/g, '');
+  // The sign may sit on either side of a currency symbol: "-$5", "$-5", "-5 €"
+  const m = s.match(/^([+-]?)[^\d.+-]*([+-]?)(\d+\.?\d*|\.\d+)[^\d.]*$/);
+  if (!m || (m[1] && m[2]) || (parens && (m[1] || m[2]))) return NaN;
+  const n = Number(m[3]);
+  return m[1] === '-' || m[2] === '-' || parens ? -n : n;
+}
+
+function inRange(n, col) {
+  return (col.min === undefined || n >= col.min) && (col.max === undefined || n <= col.max);
+}
+
+// Validate the `columns` request field and fill in per-type defaults.
+// Throws an Error with status 400 when a definition is unusable. With a
+// `locale` (lib/locales.js) currencies, dates and decimals default to its formats.
+function normalizeColumns(columns, locale = null) {
+  if (!Array.isArray(columns) || columns.length === 0) {
+    throw schemaError('columns must be a non-empty array');
+  }
+  const seen = new Set();
+  return columns.map((raw, i) => {
+    const def = typeof raw === 'string' ? { name: raw } : raw;
+    if (!def || typeof def.name !== 'string' || !def.name.trim()) {
+      throw schemaError(`columns[${i}].name is required`);
+    }
+    const name = def.name.trim();
+    if (seen.has(name.toLowerCase())) throw schemaError(`columns[${i}].name "${name}" is duplicated`);
+    seen.add(name.toLowerCase());
+
+    const type = (def.type || 'string').toLowerCase();
+    if (!COLUMN_TYPES.includes(type)) {
+      throw schemaError(`columns[${i}].type must be one of: ${COLUMN_TYPES.join(', ')}`);
+    }
+    const col = { name, type };
+    if (locale) col.locale = locale;
+
+    if (['integer', 'decimal', 'currency'].includes(type)) {
+      for (const key of ['min', 'max']) {
+        if (def[key] === undefined) continue;
+        const n = Number(def[key]);
+        if (!isFinite(n)) throw schemaError(`columns[${i}].${key} must be a number`);
+        col[key] = n;
+      }
+      if (type === 'decimal') col.decimals = Number.isInteger(def.decimals) ? def.decimals : 2;
+      if (type === 'currency') {
+        col.currency = (def.currency || (locale ? locale.currency : 'USD')).toUpperCase();
+        try {
+          new Intl.NumberFormat('en-US', { style: 'currency', currency: col.currency });
+        } catch (e) {
+          throw schemaError(`columns[${i}].currency "${def.currency}" is not a valid ISO 4217 code`);
+        }
+      }
+    } else if (type === 'date') {
+      col.format = def.format || (locale ? locale.dateFormat : 'YYYY-MM-DD');
+      for (const key of ['min', 'max']) {
+        if (def[key] === undefined) continue;
+        const d = parseDateValue(def[key], col.format);
+        if (!d) throw schemaError(`columns[${i}].${key} must be a date in YYYY-MM-DD or the column format`);
+        col[key] = d;
+      }
+    } else if (type === 'enum') {
+      if (!Array.isArray(def.values) || def.values.length === 0) {
+        throw schemaError(`columns[${i}].values is required for enum columns`);
+      }
+      col.values = def.values.map(v => String(v));
+    } else if (type === 'boolean') {
+      col.values = Array.isArray(def.values) && def.values.length === 2
+        ? def.values.map(v => String(v))
+        : ['true', 'false'];
+    } else if (type === 'id') {
+      col.prefix = def.prefix || idPrefixFrom(name);
+    }
+
+    if (col.min !== undefined && col.max !== undefined && col.min > col.max) {
+      throw schemaError(`columns[${i}].min must not be greater than max`);
+    }
+    if (['integer', 'decimal', 'currency'].includes(type) && col.min !== undefined && col.max !== undefined) {
+      const digits = type === 'integer' ? 0 : fractionDigits(col);
+      if (gridSteps(col.min, col.max, digits).low > gridSteps(col.min, col.max, digits).high) {
+        throw schemaError(`columns[${i}] has no value with ${digits} decimals between min and max`);
+      }
+    }
+    if (def.description) col.description = String(def.description);
+    return col;
+  });
+}
+
+// One line per column for the model prompt
+function describeColumns(schema) {
+  return schema.map(col => {
+    const parts = [col.type];
+    const fmt = (v) => col.type === 'date' ? formatDate(v, col.format) : v;
+    if (col.type === 'currency') parts.push(col.currency);
+    if (col.type === 'decimal') parts.push(`${col.decimals} decimals`);
+    if (col.type === 'date') parts.push(`format ${col.format}`);
+    if (col.min !== undefined && col.max !== undefined) parts.push(`between ${fmt(col.min)} and ${fmt(col.max)}`);
+    else if (col.min !== undefined) parts.push(`at least ${fmt(col.min)}`);
+    else if (col.max !== undefined) parts.push(`at most ${fmt(col.max)}`);
+    if (col.type === 'enum' || col.type === 'boolean') parts.push(`one of ${col.values.map(v => `"${v}"`).join(', ')}`);
+    if (col.type === 'id') parts.push(`unique, like "${col.prefix}-1001"`);
+    if (col.description) parts.push(col.description);
+    return `- "${col.name}": ${parts.join(', ')}`;
+  }).join('\n');
+}
+
+// Coerce a single cell. Returns the canonical string or null when it does not fit the column.
+function coerceCell(col, value) {
+  if (value === null || value === undefined) return null;
+  const s = String(value).trim();
+  if (!s) return null;
+
+  switch (col.type) {
+    case 'integer': {
+      const n = parseNumber(s, col.locale);
+      if (!isFinite(n) || Math.abs(n - Math.round(n)) > 1e-9) return null;
+      return inRange(Math.round(n), col) ? String(Math.round(n)) : null;
+    }
+    case 'decimal': {
+      const n = parseNumber(s, col.locale);
+      if (!isFinite(n) || !inRange(n, col)) return null;
+      return col.locale ? col.locale.formatNumber(n, col.decimals) : n.toFixed(col.decimals);
+    }
+    case 'currency': {
+      const n = parseNumber(s, col.locale);
+      if (!isFinite(n) || !inRange(n, col)) return null;
+      return col.locale ? col.locale.formatCurrency(n, col.currency) : new Intl.NumberFormat('en-US', { style: 'currency', currency: col.currency }).format(n);
+    }
+    case 'date': {
+      const d = parseDateValue(s, col.format);
+      if (!d || !inRange(d.getTime(), { min: col.min?.getTime(), max: col.max?.getTime() })) return null;
+      return formatDate(d, col.format);
+    }
+    case 'email': {
+      const e = s.toLowerCase().replace(/^mailto:/, '');
+      return EMAIL_RE.test(e) ? e : null;
+    }
+    case 'enum':
+      return col.values.find(v => v.toLowerCase() === s.toLowerCase()) || null;
+    case 'boolean': {
+      const l = s.toLowerCase();
+      if (l === col.values[0].toLowerCase() || TRUE_WORDS.includes(l)) return col.values[0];
+      if (l === col.values[1].toLowerCase() || FALSE_WORDS.includes(l)) return col.values[1];
+      return null;
+    }
+    case 'id':
+      return idPattern(col).test(s) ? s : null;
+    default:
+      return /[\[\]{}]/.test(s) ? null : s;
+  }
+}
+
+// Ids look like the synthesized ones: "<prefix>-1001", plus "-<row>" when that
+// was already taken
+const idPattern = (col) => new RegExp(`^${col.prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-\\d+(?:-\\d+)*$`);
+
+// Default range of a numeric column. A missing `min` is `defaultMin` unless
+// `max` is below it, then 0 (or `span` below a negative max), so a column with
+// only a small or negative max still gets values inside it.
+function numericRange(col, defaultMin, span) {
+  const min = col.min ?? (col.max === undefined || col.max >= defaultMin ? defaultMin : col.max >= 0 ? 0 : col.max - span);
+  const max = col.max ?? min + span;
+  return { min, max };
+}
+
+// The values from min to max with `digits` decimals, as whole steps low..high
+function gridSteps(min, max, digits) {
+  const step = 10 ** -digits;
+  return { step, low: Math.ceil(min / step - 1e-9), high: Math.floor(max / step + 1e-9) };
+}
+
+// Digits after the decimal point in the values of a decimal or currency column
+const fractionDigits = (col) => (col.type === 'decimal'
+  ? col.decimals
+  : new Intl.NumberFormat('en-US', { style: 'currency', currency: col.currency }).resolvedOptions().maximumFractionDigits);
+
+// Make up a valid value for a cell that failed coercion. `values` is the
+// (possibly seeded) helper set from createValues.
+function synthesizeCell(col, r, c, name, values) {
+  switch (col.type) {
+    case 'integer': {
+      const { min, max } = numericRange(col, 0, 1000);
+      return String(values.int(Math.ceil(min), Math.floor(max)));
+    }
+    case 'decimal':
+    case 'currency': {
+      const { min, max } = numericRange(col, col.type === 'currency' ? 10 : 0, col.type === 'currency' ? 990 : 100);
+      // A value that is still inside the range once rounded for display
+      // (normalizeColumns makes sure there is one)
+      const digits = fractionDigits(col);
+      const { step, low, high } = gridSteps(min, max, digits);
+      return coerceCell(col, Number((values.int(low, high) * step).toFixed(digits)));
+    }
+    case 'date': {
+      const max = col.max ? col.max.getTime() : values.now;
+      const min = col.min ? col.min.getTime() : max - 90 * DAY_MS;
+      return formatDate(new Date(min + Math.floor(values.random() * (max - min + 1))), col.format);
+    }
+    case 'email':
+      return values.emailFrom(name, r);
+    case 'enum':
+    case 'boolean':
+      return values.rand(col.values);
+    case 'id':
+      return `${col.prefix}-${1000 + r + 1}`;
+    default:
+      return values.valueForHeader(col.name, r, c, name);
+  }
+}
+
+// Validate and coerce every cell of `rows` against the schema, in place of the
+// model's values. Cells that fail (and duplicate ids) are synthesized; rows are never dropped.
+// Pass the same `state` object for consecutive batches of one table so ids stay
+// unique; `state.values` supplies the (seeded) value helpers.
+function applySchema(schema, rows, state = {}) {
+  const values = state.values || (state.values = createValues());
+  const invalid = [];
+  const idsSeen = state.idsSeen || (state.idsSeen = schema.map(() => new Set()));
+  const offset = state.offset || 0;
+  state.offset = offset + rows.length;
+  const out = rows.map((row, i) => {
+    const r = offset + i;
+    const name = values.randomName();
+    return schema.map((col, c) => {
+      let value = coerceCell(col, row[c]);
+      if (value !== null && col.type === 'id' && idsSeen[c].has(value)) value = null;
+      if (value === null) {
+        invalid.push({ row: r, col: c, value: row[c] === undefined ? null : row[c] });
+        value = synthesizeCell(col, r, c, name, values);
+        // Never collide with an id the model already produced
+        while (col.type === 'id' && idsSeen[c].has(value)) value = `${value}-${r + 1}`;
+      }
+      if (col.type === 'id') idsSeen[c].add(value);
+      return value;
+    });
+  });
+  return { rows: out, invalid };
+}
+
+module.exports = {
+  COLUMN_TYPES,
+  normalizeColumns,
+  describeColumns,
+  coerceCell,
+  synthesizeCell,
+  applySchema
+};
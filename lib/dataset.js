@@ -0,0 +1,171 @@
+// Relational datasets for /generateDataset: several tables generated in
+// dependency order, where every foreign key points at an existing row of the
+// table it references and columns copied from that row stay consistent.
+//
+// A table spec is { name, rows, columns, prompt?, domain?, key?, foreignKeys? }:
+//   key          column holding the table's unique id (made an `id` column unless typed)
+//   foreignKeys  [{ column, references, copy? }] where `column` holds the key of a
+//                row of the table named `references`, and `copy` maps more columns
+//                of this table to columns of that row, e.g. { "Customer": "Name" }
+const { checkBody } = require('./validate');
+const { normalizeColumns } = require('./columns');
+const { createRandom, randomSeed } = require('./random');
+const { generateTable } = require('./table');
+const { httpError } = require('./errors');
+
+const MAX_DATASET_TABLES = 8;
+// Referenced keys quoted to the model; the rest are still accepted when linking
+const MAX_KEYS_IN_PROMPT = 50;
+
+const lower = (s) => String(s).trim().toLowerCase();
+const columnIndex = (schema, name) => schema.findIndex(col => col.name.toLowerCase() === lower(name));
+
+// Validate the specs and resolve every column reference. Returns the tables in
+// generation order (referenced tables first). Throws VALIDATION_FAILED listing
+// every problem, like validateBody.
+function planDataset(tables, { tableSchema, locale = null, maxRows }) {
+  const issues = [];
+  const fail = (field, message) => issues.push({ field, message });
+  if (!tables.length) fail('tables', 'tables must not be empty');
+  if (tables.length > MAX_DATASET_TABLES) fail('tables', `tables must have at most ${MAX_DATASET_TABLES} entries`);
+
+  const specs = new Map();
+  tables.forEach((raw, i) => {
+    const at = `tables[${i}]`;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return fail(at, `${at} must be an object`);
+    const shape = checkBody(tableSchema, raw);
+    if (shape.length) return shape.forEach(issue => fail(`${at}.${issue.field}`, `${at}.${issue.message}`));
+    const name = raw.name.trim();
+    if (specs.has(lower(name))) return fail(`${at}.name`, `table name "${name}" is duplicated`);
+
+    // The key column is an id column unless the client typed it
+    const defs = raw.columns.map(def => (typeof def === 'string' ? { name: def } : def));
+    const keyDef = raw.key && defs.find(def => def && typeof def.name === 'string' && lower(def.name) === lower(raw.key));
+    if (keyDef && !keyDef.type) defs[defs.indexOf(keyDef)] = { ...keyDef, type: 'id' };
+    let schema;
+    try {
+      schema = normalizeColumns(defs, locale);
+    } catch (e) {
+      return fail(`${at}.columns`, `${at}.${e.message}`);
+    }
+    const keyIndex = raw.key ? columnIndex(schema, raw.key) : -1;
+    if (raw.key && keyIndex === -1) fail(`${at}.key`, `${at}.key "${raw.key}" is not one of its columns`);
+    specs.set(lower(name), { index: i, name, rows: raw.rows, prompt: raw.prompt, domain: raw.domain, schema, keyIndex, foreignKeys: raw.foreignKeys || [] });
+  });
+  if (issues.length) throw httpError('VALIDATION_FAILED', issues.map(i => i.message).join('; '), issues);
+
+  // Foreign keys can only be resolved once every table is known
+  for (const spec of specs.values()) {
+    spec.links = [];
+    spec.foreignKeys.forEach((fk, f) => {
+      const at = `tables[${spec.index}].foreignKeys[${f}]`;
+      if (!fk || typeof fk.column !== 'string' || typeof fk.references !== 'string') {
+        return fail(at, `${at} must have a "column" and the table it "references"`);
+      }
+      const index = columnIndex(spec.schema, fk.column);
+      const parent = specs.get(lower(fk.references));
+      if (index === -1) return fail(`${at}.column`, `${at}.column "${fk.column}" is not a column of "${spec.name}"`);
+      if (index === spec.keyIndex) return fail(`${at}.column`, `${at}.column "${fk.column}" is the table's own key`);
+      if (!parent) return fail(`${at}.references`, `${at}.references "${fk.references}" is not a table of the dataset`);
+      if (parent === spec) return fail(`${at}.references`, `${at}.references must be another table`);
+      if (parent.keyIndex === -1) return fail(`${at}.references`, `table "${parent.name}" needs a key to be referenced`);
+
+      const copy = [];
+      for (const [child, source] of Object.entries(fk.copy || {})) {
+        const childIndex = columnIndex(spec.schema, child);
+        const parentIndex = columnIndex(parent.schema, source);
+        if (childIndex === -1 || parentIndex === -1) {
+          fail(`${at}.copy`, `${at}.copy "${child}": "${source}" must name a column of "${spec.name}" and of "${parent.name}"`);
+        } else {
+          copy.push([childIndex, parentIndex]);
+        }
+      }
+      spec.links.push({ index, parent, copy });
+    });
+  }
+
+  const total = [...specs.values()].reduce((sum, spec) => sum + spec.rows, 0);
+  if (maxRows && total > maxRows) fail('tables', `the dataset has ${total} rows, at most ${maxRows} are allowed`);
+  if (issues.length) throw httpError('VALIDATION_FAILED', issues.map(i => i.message).join('; '), issues);
+
+  // Referenced tables first, otherwise in request order
+  const ordered = [];
+  const pending = [...specs.values()];
+  while (pending.length) {
+    const next = pending.findIndex(spec => spec.links.every(link => ordered.includes(link.parent)));
+    if (next === -1) {
+      const message = `foreign keys form a cycle between ${pending.map(spec => `"${spec.name}"`).join(', ')}`;
+      throw httpError('VALIDATION_FAILED', message, [{ field: 'tables', message }]);
+    }
+    ordered.push(pending.splice(next, 1)[0]);
+  }
+  return ordered;
+}
+
+// Prompt lines telling the model which keys it may use
+function linkInstructions(spec, done) {
+  return spec.links.map(link => {
+    const parent = done.get(link.parent);
+    const keys = parent.rows.slice(0, MAX_KEYS_IN_PROMPT).map(row => row[link.parent.keyIndex]);
+    const copies = link.copy.map(([c, p]) => `"${spec.schema[c].name}" is the "${link.parent.schema[p].name}" of that row`);
+    return `"${spec.schema[link.index].name}" must be a "${link.parent.schema[link.parent.keyIndex].name}" of the "${link.parent.name}" table, one of: ${JSON.stringify(keys)}` +
+      (copies.length ? `; ${copies.join(', ')}` : '') + '.';
+  }).join('\n');
+}
+
+// Point every foreign key at an existing parent row (a seeded random one when
+// the model's value is unknown) and copy the linked columns from that row.
+// Returns the [row, col] cells that were changed.
+function linkRows(spec, rows, done, random) {
+  const changed = [];
+  for (const link of spec.links) {
+    const parent = done.get(link.parent);
+    rows.forEach((row, r) => {
+      let parentRow = parent.byKey.get(lower(row[link.index]));
+      if (!parentRow) parentRow = parent.rows[Math.floor(random() * parent.rows.length)];
+      for (const [c, p] of [[link.index, link.parent.keyIndex], ...link.copy]) {
+        if (row[c] !== parentRow[p]) {
+          row[c] = parentRow[p];
+          changed.push([r, c]);
+        }
+      }
+    });
+  }
+  return changed;
+}
+
+// Generate every table of `plan` (from planDataset) with generateTable. The
+// dataset prompt and the allowed keys go into each table's prompt; each table's
+// own prompt (or its name) picks the fallback domain. One `seed` makes the whole
+// dataset reproducible. Resolves to { seed, tables: [{ name, headers, rows, provenance }] }
+// in generation order; provenance.linkedCells are the cells changed by linkRows.
+async function generateDataset({ plan, prompt, seed, ...options }) {
+  const datasetSeed = seed === undefined || seed === null ? randomSeed() : seed;
+  const done = new Map();
+  const tables = [];
+
+  for (const spec of plan) {
+    const context = [`This table ("${spec.name}") is part of a dataset: ${prompt}`, linkInstructions(spec, done)].filter(Boolean).join('\n');
+    const result = await generateTable({
+      ...options,
+      prompt: spec.prompt || spec.name,
+      rows: spec.rows,
+      cols: spec.schema.length,
+      schema: spec.schema,
+      seed: `${datasetSeed}:${spec.name}`,
+      domain: spec.domain,
+      context
+    });
+    const rows = result.rows.map(row => [...row]);
+    const linkedCells = linkRows(spec, rows, done, createRandom(`${datasetSeed}:${spec.name}:links`));
+    done.set(spec, {
+      rows,
+      byKey: spec.keyIndex === -1 ? new Map() : new Map(rows.map(row => [lower(row[spec.keyIndex]), row]))
+    });
+    tables.push({ name: spec.name, headers: result.headers, rows, provenance: { ...result.provenance, linkedCells } });
+  }
+
+  return { seed: datasetSeed, tables };
+}
+
+module.exports = { MAX_DATASET_TABLES, planDataset, generateDataset };
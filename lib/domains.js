@@ -0,0 +1,87 @@
+// Domain pack registry for the fallback generator. A pack is a .json or .js
+// file (module.exports = pack or [packs]) with:
+//   name         unique id, used as `domain` in requests
+//   label, description   shown in the plugin UI
+//   keywords     matched against the prompt to pick the pack automatically
+//   priority     lower is checked first when several packs match (default 100)
+//   headers      ordered header list; a table with N columns uses the first N
+//   defaultCols  columns when the request does not say (default 6)
+//   generators   rules for cell values, see lib/values.js
+const fs = require('fs');
+const path = require('path');
+const { validateRule } = require('./values');
+const { logger: log } = require('./logger');
+
+function validatePack(pack, file) {
+  const fail = (msg) => { throw new Error(`Domain pack ${file}: ${msg}`); };
+  if (!pack || typeof pack !== 'object') fail('must export an object');
+  if (typeof pack.name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(pack.name)) fail('"name" must be lowercase letters, digits and dashes');
+  if (!Array.isArray(pack.keywords)) fail('"keywords" must be an array');
+  if (!Array.isArray(pack.headers) || pack.headers.length === 0) fail('"headers" must be a non-empty array');
+  (pack.generators || []).forEach((rule, i) => {
+    try { validateRule(rule); } catch (e) { fail(`generators[${i}]: ${e.message}`); }
+  });
+  return {
+    name: pack.name,
+    label: pack.label || pack.name,
+    description: pack.description || '',
+    priority: Number.isFinite(pack.priority) ? pack.priority : 100,
+    keywords: pack.keywords.map(k => String(k).toLowerCase()),
+    headers: pack.headers.map(h => String(h)),
+    defaultCols: Number.isInteger(pack.defaultCols) ? pack.defaultCols : Math.min(6, pack.headers.length),
+    generators: pack.generators || []
+  };
+}
+
+function readPackFile(file) {
+  if (file.endsWith('.json')) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  return require(file);
+}
+
+// Load every pack in `dirs` (later directories override packs with the same name).
+// A broken pack is logged and skipped so one bad file cannot take the server down.
+function loadDomainPacks(dirs) {
+  const packs = new Map();
+  for (const dir of dirs) {
+    let files;
+    try {
+      files = fs.readdirSync(dir).filter(f => f.endsWith('.json') || f.endsWith('.js')).sort();
+    } catch (e) {
+      log.warn('Cannot read domain pack directory', { dir, error: e.message });
+      continue;
+    }
+    for (const f of files) {
+      const file = path.resolve(dir, f);
+      try {
+        const loaded = readPackFile(file);
+        for (const pack of Array.isArray(loaded) ? loaded : [loaded]) {
+          const valid = validatePack(pack, f);
+          packs.set(valid.name, valid);
+        }
+      } catch (e) {
+        log.warn('Skipping domain pack', { file: f, error: e.message });
+      }
+    }
+  }
+
+  const ordered = [...packs.values()].sort((a, b) => a.priority - b.priority || a.name.localeCompare(b.name));
+
+  return {
+    list() {
+      return ordered.map(({ name, label, description, keywords, headers, defaultCols }) =>
+        ({ name, label, description, keywords, headers, defaultCols }));
+    },
+
+    get(name) {
+      return packs.get(String(name).toLowerCase()) || null;
+    },
+
+    // First pack (by priority) with a keyword in the prompt
+    match(prompt) {
+      const promptLower = String(prompt || '').toLowerCase();
+      return ordered.find(p => p.keywords.some(k => promptLower.includes(k))) || null;
+    }
+  };
+}
+
+module.exports = { loadDomainPacks };
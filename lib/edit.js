@@ -0,0 +1,208 @@
+// Incremental edits of a table the client already has ({ headers, rows }):
+// append rows, add a column, regenerate a column or rewrite single cells. The
+// model is called and parsed exactly like /generateTable (lib/table.js); cells
+// that are not being edited are copied from the request as they are.
+//
+// Every result is { headers, rows, provenance } where provenance.headers and
+// provenance.rows use the /generateTable sources plus 'existing' for untouched
+// headers and rows and 'request' for a header named by the client.
+// syntheticCells are [row, col] pairs filled by the server instead of the model.
+const { applySchema } = require('./columns');
+const { createFallbackGenerator } = require('./fallback');
+const { DEFAULT_BATCH_ROWS, DEFAULT_MAX_NEW_TOKENS, DEFAULT_MAX_REPAIRS, requestTableBatch, generateTable } = require('./table');
+const { httpError } = require('./errors');
+const { metrics } = require('./metrics');
+
+const cellText = (v) => String(v).trim();
+
+function editError(field, message) {
+  return httpError('VALIDATION_FAILED', message, [{ field, message }]);
+}
+
+// Throws VALIDATION_FAILED unless every entry of `cells` is a [row, col] pair inside `table`
+function checkCells(table, cells) {
+  cells.forEach((cell, i) => {
+    if (!Array.isArray(cell) || cell.length !== 2 || !cell.every(n => Number.isInteger(n) && n >= 0)) {
+      throw editError(`cells[${i}]`, `cells[${i}] must be a [row, col] pair of indexes`);
+    }
+    if (cell[0] >= table.rows.length || cell[1] >= table.headers.length) {
+      throw editError(`cells[${i}]`, `cells[${i}] [${cell[0]}, ${cell[1]}] is outside the table`);
+    }
+  });
+}
+
+// Index of the header `name` (case-insensitive). Throws VALIDATION_FAILED when
+// the column must (`exists`) or must not already be in the table.
+function checkColumn(table, name, exists) {
+  const index = table.headers.findIndex(h => h.toLowerCase() === String(name).trim().toLowerCase());
+  if (exists && index === -1) throw editError('column', `The table has no column "${name}"`);
+  if (!exists && index !== -1) throw editError('column', `The table already has a column "${name}"`);
+  return index;
+}
+
+// Rows quoted in an edit prompt, one JSON array per line
+const quoteRows = (rows) => rows.map(row => JSON.stringify(row)).join('\n');
+
+// Append `count` rows. The new rows go through generateTable with the request
+// table as `existing`, so they follow its headers and are never duplicates.
+async function extendTable({ table, count, schema, ...options }) {
+  const result = await generateTable({
+    ...options,
+    rows: count,
+    cols: table.headers.length,
+    schema,
+    existing: table
+  });
+  const offset = table.rows.length;
+  return {
+    headers: table.headers,
+    rows: [...table.rows, ...result.rows],
+    provenance: {
+      headers: result.provenance.headers,
+      rows: [...table.rows.map(() => 'existing'), ...result.provenance.rows],
+      syntheticCells: result.provenance.syntheticCells.map(([r, c]) => [offset + r, c]),
+      repairAttempts: result.provenance.repairAttempts
+    }
+  };
+}
+
+// Values for the column `col` (from normalizeColumns) for every row of
+// `table`, in batches. The model sees each batch's rows without the column and
+// answers with a one-column table in the same order; answers that are missing
+// or do not fit the column are synthesized.
+async function fillColumn({
+  provider, model, endpoint, accessToken, signal, prompt, table, col, seed, domains, domain, locale, template,
+  batchSize = DEFAULT_BATCH_ROWS, maxNewTokens = DEFAULT_MAX_NEW_TOKENS, maxRepairs = DEFAULT_MAX_REPAIRS
+}) {
+  const fallback = createFallbackGenerator({ seed, domains, domain, prompt, locale });
+  const schema = [col];
+  const schemaState = { values: fallback.values };
+  const values = [];
+  const sources = [];
+  const synthetic = [];
+  let repairAttempts = 0;
+
+  for (let start = 0; start < table.rows.length; start += batchSize) {
+    const batch = table.rows.slice(start, start + batchSize);
+    const context = `Fill the column "${col.name}" for an existing table with the headers ${JSON.stringify(table.headers)}.
+Return exactly ${batch.length} rows with one value each: row N is the "${col.name}" value for row N below, in the same order, consistent with the other values in that row.
+${quoteRows(batch)}`;
+    const parsed = await requestTableBatch({
+      provider, model, endpoint, accessToken, signal,
+      prompt, rows: batch.length, cols: 1, schema, headers: [col.name],
+      startRow: start, locale, context, template, maxNewTokens, maxRepairs
+    });
+    repairAttempts += parsed.attempts - 1;
+
+    const checked = applySchema(schema, batch.map((_, i) => parsed.rows[i] || []), schemaState);
+    const invalid = new Set(checked.invalid.map(cell => cell.row));
+    checked.rows.forEach((row, i) => {
+      values.push(row[0]);
+      sources.push(invalid.has(start + i) ? 'fallback' : parsed.source);
+      if (invalid.has(start + i)) synthetic.push(start + i);
+    });
+  }
+
+  metrics.tableSyntheticCells.inc(undefined, synthetic.length);
+  return { values, sources, synthetic, repairAttempts };
+}
+
+// Insert a new column named `col.name` at `index` (default: last) and fill it
+async function addColumn({ table, col, index = table.headers.length, ...options }) {
+  checkColumn(table, col.name, false);
+  const at = Math.min(index, table.headers.length);
+  const filled = await fillColumn({ ...options, table, col });
+  const insert = (arr, value) => [...arr.slice(0, at), value, ...arr.slice(at)];
+  return {
+    headers: insert(table.headers, col.name),
+    rows: table.rows.map((row, r) => insert(row, filled.values[r])),
+    provenance: {
+      headers: insert(table.headers.map(() => 'existing'), 'request'),
+      rows: filled.sources,
+      syntheticCells: filled.synthetic.map(r => [r, at]),
+      repairAttempts: filled.repairAttempts
+    }
+  };
+}
+
+// Replace every value of the existing column `col.name`. The old values are
+// not shown to the model so it does not simply copy them back.
+async function regenerateColumn({ table, col, ...options }) {
+  const at = checkColumn(table, col.name, true);
+  const without = (arr) => arr.filter((_, c) => c !== at);
+  const filled = await fillColumn({
+    ...options,
+    table: { headers: without(table.headers), rows: table.rows.map(without) },
+    col: { ...col, name: table.headers[at] }
+  });
+  return {
+    headers: table.headers,
+    rows: table.rows.map((row, r) => row.map((cell, c) => (c === at ? filled.values[r] : cell))),
+    provenance: {
+      headers: table.headers.map(() => 'existing'),
+      rows: filled.sources,
+      syntheticCells: filled.synthetic.map(r => [r, at]),
+      repairAttempts: filled.repairAttempts
+    }
+  };
+}
+
+// Rewrite the [row, col] `cells`. The affected rows are sent with those cells
+// set to null and the model returns them complete; only the null cells are
+// taken from its answer.
+async function rewriteCells({
+  provider, model, endpoint, accessToken, signal, prompt, table, cells, seed, domains, domain, locale, template,
+  batchSize = DEFAULT_BATCH_ROWS, maxNewTokens = DEFAULT_MAX_NEW_TOKENS, maxRepairs = DEFAULT_MAX_REPAIRS
+}) {
+  const { headers } = table;
+  const cols = headers.length;
+  checkCells(table, cells);
+  const targets = new Map();
+  for (const [r, c] of cells) targets.set(r, (targets.get(r) || new Set()).add(c));
+  const rowIndexes = [...targets.keys()].sort((a, b) => a - b);
+
+  const fallback = createFallbackGenerator({ seed, domains, domain, prompt, locale });
+  const rows = table.rows.slice();
+  const sources = table.rows.map(() => 'existing');
+  const syntheticCells = [];
+  let repairAttempts = 0;
+
+  for (let start = 0; start < rowIndexes.length; start += batchSize) {
+    const batch = rowIndexes.slice(start, start + batchSize);
+    const masked = batch.map(r => table.rows[r].map((cell, c) => (targets.get(r).has(c) ? null : cell)));
+    const context = `Rewrite cells of an existing table. These are ${batch.length} of its rows; every null is a cell to rewrite.
+Return exactly these ${batch.length} rows in the same order with every null replaced by a new value that fits its column and the rest of its row. Copy all other values unchanged.
+${quoteRows(masked)}`;
+    const parsed = await requestTableBatch({
+      provider, model, endpoint, accessToken, signal,
+      prompt, rows: batch.length, cols, headers,
+      startRow: batch[0], locale, context, template, maxNewTokens, maxRepairs
+    });
+    repairAttempts += parsed.attempts - 1;
+
+    batch.forEach((r, i) => {
+      const answer = parsed.rows[i] || [];
+      const name = fallback.values.randomName();
+      let fromModel = false;
+      rows[r] = table.rows[r].map((cell, c) => {
+        if (!targets.get(r).has(c)) return cell;
+        if (answer[c] !== undefined && cellText(answer[c])) {
+          fromModel = true;
+          return answer[c];
+        }
+        syntheticCells.push([r, c]);
+        return fallback.values.valueForHeader(headers[c], r, c, name);
+      });
+      sources[r] = fromModel ? parsed.source : 'fallback';
+    });
+  }
+
+  metrics.tableSyntheticCells.inc(undefined, syntheticCells.length);
+  return {
+    headers,
+    rows,
+    provenance: { headers: headers.map(() => 'existing'), rows: sources, syntheticCells, repairAttempts }
+  };
+}
+
+module.exports = { checkCells, checkColumn, extendTable, addColumn, regenerateColumn, rewriteCells };
@@ -0,0 +1,78 @@
+// Error contract shared by every route. Failures are answered with
+//   { error: "<message>", code: "<CODE>", details?: [...] }
+// where `code` is stable and safe for the plugin to branch on, and the HTTP
+// status follows from it.
+
+const ERROR_CODES = {
+  VALIDATION_FAILED: 400,    // request body failed validation (details lists the fields)
+  INVALID_JSON: 400,         // request body is not JSON
+  ENDPOINT_NOT_ALLOWED: 400, // endpoint is not an allowed watsonx region
+  MODEL_NOT_ALLOWED: 400,    // provider/model is not enabled on this server
+  MISSING_CREDENTIALS: 401,  // no API key or access token to call the model with
+  UPSTREAM_AUTH: 401,        // IAM or the model provider rejected the credentials
+  UNAUTHORIZED: 401,         // missing or wrong admin token
+  NOT_FOUND: 404,
+  PAYLOAD_TOO_LARGE: 413,
+  RATE_LIMITED: 429,         // this server's limits, or the provider's
+  QUOTA_EXCEEDED: 429,       // the client's daily row/cell allowance is used up
+  INTERNAL: 500,
+  UPSTREAM_ERROR: 502,       // the provider failed or answered with something unusable
+  NO_FIXTURE: 502,           // replay mode has no recorded upstream answer for the request
+  UPSTREAM_UNAVAILABLE: 503, // the provider could not be reached
+  UPSTREAM_TIMEOUT: 504      // the provider did not answer in time
+};
+
+function httpError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = ERROR_CODES[code] || 500;
+  if (details) err.details = details;
+  return err;
+}
+
+// Map a failed upstream response to an error code
+function upstreamError(service, status, text) {
+  const message = `${service} error: ${status}${text ? ` ${String(text).slice(0, 500)}` : ''}`;
+  const code = status === 401 || status === 403 ? 'UPSTREAM_AUTH'
+    : status === 429 ? 'RATE_LIMITED'
+    : status === 408 || status === 504 ? 'UPSTREAM_TIMEOUT'
+    : 'UPSTREAM_ERROR';
+  const err = httpError(code, message);
+  err.upstreamStatus = status;
+  return err;
+}
+
+// Give any thrown value a code and status. Errors that already carry one pass
+// through; body-parser, node-fetch and abort errors are recognised; anything
+// else is an INTERNAL error whose message is not shown to the client.
+function normalizeError(error) {
+  if (error && error.code && ERROR_CODES[error.code]) return error;
+  if (error && error.type === 'entity.parse.failed') return httpError('INVALID_JSON', 'Request body is not valid JSON');
+  if (error && error.type === 'entity.too.large') return httpError('PAYLOAD_TOO_LARGE', 'Request body is too large');
+  if (error && error.name === 'FetchError') {
+    return error.type === 'request-timeout'
+      ? httpError('UPSTREAM_TIMEOUT', error.message)
+      : httpError('UPSTREAM_UNAVAILABLE', error.message);
+  }
+  if (error && error.name === 'AbortError') return httpError('UPSTREAM_TIMEOUT', 'Upstream request was aborted');
+  // Older call sites only set a status
+  if (error && error.status === 400) return httpError('VALIDATION_FAILED', error.message);
+  if (error && error.status === 401) return httpError('UPSTREAM_AUTH', error.message);
+  if (error && error.status === 429) return httpError('RATE_LIMITED', error.message);
+  if (error && error.status === 502) return httpError('UPSTREAM_ERROR', error.message);
+  return httpError('INTERNAL', 'Internal server error');
+}
+
+// JSON body for an error, also used for the SSE `error` event
+function errorBody(error) {
+  const err = normalizeError(error);
+  return err.details ? { error: err.message, code: err.code, details: err.details } : { error: err.message, code: err.code };
+}
+
+function sendError(res, error) {
+  const err = normalizeError(error);
+  if (err.retryAfterSec) res.set('Retry-After', String(err.retryAfterSec));
+  res.status(err.status).json(errorBody(err));
+}
+
+module.exports = { ERROR_CODES, httpError, upstreamError, normalizeError, errorBody, sendError };
@@ -0,0 +1,270 @@
+// Tolerant JSON extraction for model output. Finds the first JSON object or
+// array in free text and parses it with a lenient parser that accepts the
+// mistakes models make: prose and code fences around the JSON, single quotes,
+// unquoted keys and values, trailing or missing commas, unescaped quotes inside
+// strings and output cut off by the token limit. Every fix is reported by a
+// stable code so callers can tell how much the text had to be bent:
+//   code_fence, leading_text, trailing_text, single_quotes, unquoted_key,
+//   bare_value, python_literal, trailing_comma, missing_comma, missing_colon,
+//   unescaped_quote, mismatched_bracket, truncated, dropped_truncated_value
+
+// Try at most this many start positions before giving up
+const MAX_CANDIDATES = 25;
+
+const PY_LITERALS = { True: true, False: false, None: null };
+const JSON_LITERALS = { true: true, false: false, null: null };
+const NUMBER_RE = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+const ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+// Parse one value starting at `start`. Returns { value, end, truncated }.
+// Containers cut off by the end of the text are closed and added to `incomplete`.
+function parseLenient(text, start, repairs, incomplete) {
+  let i = start;
+  const n = text.length;
+  const note = (code) => repairs.add(code);
+
+  const skipWs = () => {
+    while (i < n && /\s/.test(text[i])) i++;
+  };
+  const peekAfterWs = (j) => {
+    while (j < n && /\s/.test(text[j])) j++;
+    return j < n ? text[j] : '';
+  };
+
+  function parseString() {
+    const quote = text[i];
+    if (quote === "'") note('single_quotes');
+    i++;
+    let buf = '';
+    while (i < n) {
+      const ch = text[i];
+      if (ch === '\\') {
+        const next = text[i + 1];
+        if (next === undefined) { i++; break; }
+        if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(i + 2, i + 6))) {
+          buf += String.fromCharCode(parseInt(text.slice(i + 2, i + 6), 16));
+          i += 6;
+        } else {
+          buf += ESCAPES[next] !== undefined ? ESCAPES[next] : next;
+          i += 2;
+        }
+        continue;
+      }
+      if (ch === quote) {
+        // A quote only closes the string when a delimiter follows it, or when
+        // the next string starts right after some whitespace (a missing comma)
+        const after = peekAfterWs(i + 1);
+        const nextString = after === quote && /\s/.test(text[i + 1] || '');
+        if (after === '' || ',:]}'.includes(after) || nextString) {
+          i++;
+          return { value: buf, truncated: false };
+        }
+        note('unescaped_quote');
+      }
+      buf += ch;
+      i++;
+    }
+    note('truncated');
+    return { value: buf, truncated: true };
+  }
+
+  // Unquoted text up to the next delimiter: a number, a literal or a bare string
+  function parseBare(stops) {
+    const from = i;
+    while (i < n && !stops.includes(text[i])) i++;
+    const raw = text.slice(from, i).trim();
+    const truncated = i >= n;
+    if (truncated) note('truncated');
+    if (NUMBER_RE.test(raw)) return { value: Number(raw), truncated };
+    if (raw in JSON_LITERALS) return { value: JSON_LITERALS[raw], truncated };
+    if (raw in PY_LITERALS) {
+      note('python_literal');
+      return { value: PY_LITERALS[raw], truncated };
+    }
+    note('bare_value');
+    return { value: raw, truncated };
+  }
+
+  function parseArray() {
+    i++;
+    const arr = [];
+    let afterComma = false;
+    while (true) {
+      skipWs();
+      if (i >= n) {
+        note('truncated');
+        incomplete.add(arr);
+        return { value: arr, truncated: true };
+      }
+      const ch = text[i];
+      if (ch === ']' || ch === '}') {
+        if (ch === '}') note('mismatched_bracket');
+        if (afterComma) note('trailing_comma');
+        i++;
+        return { value: arr, truncated: false };
+      }
+      if (ch === ',') {
+        if (afterComma || arr.length === 0) note('trailing_comma');
+        afterComma = true;
+        i++;
+        continue;
+      }
+      if (arr.length > 0 && !afterComma) note('missing_comma');
+
+      const item = parseValue([',', ']', '}', '\n']);
+      if (item.truncated) {
+        // A scalar cut off mid-way is wrong, so drop it; a cut-off container is
+        // kept and flagged so the caller can decide
+        if (isContainer(item.value)) arr.push(item.value);
+        else note('dropped_truncated_value');
+        incomplete.add(arr);
+        return { value: arr, truncated: true };
+      }
+      arr.push(item.value);
+      afterComma = false;
+    }
+  }
+
+  function parseObject() {
+    i++;
+    const obj = {};
+    let afterComma = false;
+    let count = 0;
+    while (true) {
+      skipWs();
+      if (i >= n) {
+        note('truncated');
+        incomplete.add(obj);
+        return { value: obj, truncated: true };
+      }
+      const ch = text[i];
+      if (ch === '}' || ch === ']') {
+        if (ch === ']') note('mismatched_bracket');
+        if (afterComma) note('trailing_comma');
+        i++;
+        return { value: obj, truncated: false };
+      }
+      if (ch === ',') {
+        if (afterComma || count === 0) note('trailing_comma');
+        afterComma = true;
+        i++;
+        continue;
+      }
+      if (count > 0 && !afterComma) note('missing_comma');
+
+      let key;
+      if (ch === '"' || ch === "'") {
+        const k = parseString();
+        if (k.truncated) {
+          incomplete.add(obj);
+          return { value: obj, truncated: true };
+        }
+        key = k.value;
+      } else {
+        const from = i;
+        while (i < n && !':,}\n'.includes(text[i])) i++;
+        key = text.slice(from, i).trim();
+        note('unquoted_key');
+      }
+
+      skipWs();
+      if (text[i] === ':') {
+        i++;
+      } else if (i >= n) {
+        note('truncated');
+        incomplete.add(obj);
+        return { value: obj, truncated: true };
+      } else {
+        note('missing_colon');
+      }
+
+      skipWs();
+      if (i >= n || text[i] === '}' || text[i] === ',') {
+        if (i >= n) {
+          note('truncated');
+          incomplete.add(obj);
+          return { value: obj, truncated: true };
+        }
+        obj[key] = null;
+      } else {
+        const item = parseValue([',', '}', ']', '\n']);
+        if (item.truncated) {
+          if (isContainer(item.value)) obj[key] = item.value;
+          else note('dropped_truncated_value');
+          incomplete.add(obj);
+          return { value: obj, truncated: true };
+        }
+        obj[key] = item.value;
+      }
+      count++;
+      afterComma = false;
+    }
+  }
+
+  function parseValue(stops) {
+    skipWs();
+    const ch = text[i];
+    if (ch === '{') return parseObject();
+    if (ch === '[') return parseArray();
+    if (ch === '"' || ch === "'") return parseString();
+    return parseBare(stops);
+  }
+
+  const result = parseValue([',', ']', '}', '\n']);
+  return { ...result, end: i };
+}
+
+const isContainer = (v) => v !== null && typeof v === 'object';
+
+const typeMatches = (value, expect) =>
+  expect === 'array' ? Array.isArray(value)
+    : expect === 'object' ? isContainer(value) && !Array.isArray(value)
+    : isContainer(value);
+
+// Find and parse the first JSON value of the expected kind in `text`.
+//   expect  'object' | 'array' | 'any' (either container)
+//   accept  optional predicate (value, { text, start, end }) where text[start..end)
+//           is the candidate; candidates it rejects are skipped
+// Returns { value, repairs: [codes], incomplete: WeakSet of cut-off containers }
+// or { value: undefined, repairs, error } when nothing usable was found.
+function extractJson(text, { expect = 'any', accept = () => true } = {}) {
+  const baseRepairs = [];
+  let src = String(text || '');
+
+  // Prefer the contents of a code fence (the closing fence may be missing if cut off)
+  const fence = src.match(/```[a-zA-Z]*[^\S\n]*\n?([\s\S]*?)(?:```|$)/);
+  if (fence && fence[1].trim()) {
+    src = fence[1];
+    baseRepairs.push('code_fence');
+  }
+
+  // Fast path: the whole thing is already valid JSON
+  try {
+    const value = JSON.parse(src.trim());
+    if (typeMatches(value, expect) && accept(value, { text: src, start: 0, end: src.length })) {
+      return { value, repairs: baseRepairs, incomplete: new WeakSet() };
+    }
+  } catch (e) {
+    // fall through to the lenient parser
+  }
+
+  const openers = expect === 'object' ? '{' : expect === 'array' ? '[' : '{[';
+  let tried = 0;
+  for (let start = 0; start < src.length && tried < MAX_CANDIDATES; start++) {
+    if (!openers.includes(src[start])) continue;
+    tried++;
+
+    const repairs = new Set(baseRepairs);
+    const incomplete = new WeakSet();
+    const result = parseLenient(src, start, repairs, incomplete);
+    if (!typeMatches(result.value, expect) || !accept(result.value, { text: src, start, end: result.end })) continue;
+
+    if (src.slice(0, start).trim()) repairs.add('leading_text');
+    if (!result.truncated && src.slice(result.end).trim()) repairs.add('trailing_text');
+    return { value: result.value, repairs: [...repairs], incomplete };
+  }
+
+  return { value: undefined, repairs: baseRepairs, error: `No JSON ${expect === 'any' ? 'value' : expect} found in model output` };
+}
+
+module.exports = { extractJson };
@@ -0,0 +1,73 @@
+// Fallback data generator: realistic headers and rows without calling a model.
+// Used when the model output is unusable and directly by POST /fallbackTable.
+// With a seed the output is fully reproducible (dates are relative to a fixed
+// reference date instead of now).
+const { createValues } = require('./values');
+const { randomSeed } = require('./random');
+const { httpError } = require('./errors');
+const { logger: log } = require('./logger');
+
+const DEFAULT_REFERENCE_DATE = '2025-01-01T00:00:00.000Z';
+
+// Explicit `domain` wins; otherwise the first pack whose keywords appear in the prompt
+function findPack(domains, { domain, prompt }) {
+  if (!domains) return null;
+  if (domain) {
+    const pack = domains.get(domain);
+    if (!pack) {
+      throw httpError('VALIDATION_FAILED', `Unknown domain "${domain}". Available: ${domains.list().map(d => d.name).join(', ')}`, [
+        { field: 'domain', message: 'unknown domain' }
+      ]);
+    }
+    return pack;
+  }
+  return domains.match(prompt);
+}
+
+// `seed` may be a number or string. Without one a random seed is picked and
+// reported back, so any fallback table can be regenerated later. `domains` is the
+// pack registry; the pack is chosen from `domain` or the prompt. `locale`
+// (lib/locales.js) localizes header labels and values.
+function createFallbackGenerator({ seed, referenceDate, domains, domain, prompt, locale = null } = {}) {
+  const effectiveSeed = seed === undefined || seed === null ? randomSeed() : seed;
+  const pack = findPack(domains, { domain, prompt });
+  const values = createValues({
+    seed: effectiveSeed,
+    referenceDate: referenceDate || (seed === undefined || seed === null ? undefined : DEFAULT_REFERENCE_DATE),
+    rules: pack ? pack.generators : [],
+    locale
+  });
+
+  return {
+    seed: effectiveSeed,
+    domain: pack ? pack.name : null,
+    values,
+
+    // The pack's headers, exactly `cols` long. Without `cols` the pack's default count is used.
+    headers(cols) {
+      const proposed = pack ? pack.headers : [];
+      const count = cols || (pack ? pack.defaultCols : 6);
+
+      // Trim or pad to exactly cols
+      let headers = proposed.slice(0, count);
+      if (locale) headers = headers.map(h => locale.label(h));
+      while (headers.length < count) headers.push(locale ? locale.columnLabel(headers.length + 1) : `Column ${headers.length + 1}`);
+
+      log.debug('Fallback headers generated', { domain: pack ? pack.name : null, headers });
+      return headers;
+    },
+
+    // `count` rows of realistic values for `headers`; `offset` keeps ids unique across batches
+    rows(headers, count, offset = 0) {
+      const bodyRows = Array.from({ length: count }, (_, i) => {
+        const r = offset + i;
+        const name = values.randomName();
+        return headers.map((h, c) => values.valueForHeader(h, r, c, name));
+      });
+      log.debug('Fallback rows generated', { rows: count, offset });
+      return bodyRows;
+    }
+  };
+}
+
+module.exports = { DEFAULT_REFERENCE_DATE, createFallbackGenerator };
@@ -0,0 +1,124 @@
+// Record/replay of upstream IAM and watsonx traffic, so the proxy can be run
+// offline and a bad table reproduced exactly. In `record` mode every upstream
+// call is made as usual and its request and response are saved to `dir`; in
+// `replay` mode nothing goes over the network and every call is answered from
+// those files, or fails with NO_FIXTURE.
+//
+// A fixture is <service>-<hash>.json, where the hash covers the method, the URL
+// path and query and the request body with keys sorted and secrets left out.
+// The origin, headers (Authorization included) and secrets are not part of it,
+// so a fixture replays for any region, key or token. Secrets are redacted in
+// the saved request and response; recording the same request again replaces
+// its fixture.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { httpError } = require('./errors');
+const { logger: log } = require('./logger');
+
+const MODES = ['record', 'replay'];
+const SECRET_FIELDS = new Set(['apikey', 'api_key', 'project_id', 'access_token', 'refresh_token', 'ims_user_id', 'password']);
+// Absolute expiry times in IAM answers would make a replayed token stale at once;
+// without them the token manager falls back to expires_in
+const VOLATILE_FIELDS = new Set(['expiration']);
+const REDACTED = '<redacted>';
+
+// Sorted keys with secrets replaced by `secret` (dropped when undefined) and,
+// with `dropVolatile`, without VOLATILE_FIELDS
+function scrub(value, secret, dropVolatile = false) {
+  if (Array.isArray(value)) return value.map(v => scrub(v, secret, dropVolatile));
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  for (const key of Object.keys(value).sort()) {
+    if (dropVolatile && VOLATILE_FIELDS.has(key)) continue;
+    if (!SECRET_FIELDS.has(key.toLowerCase())) out[key] = scrub(value[key], secret, dropVolatile);
+    else if (secret !== undefined) out[key] = secret;
+  }
+  return out;
+}
+
+// A request or response body as JSON (or form fields) when it is one, else text
+function parseBody(text, contentType = '') {
+  if (!text) return null;
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return { form: Object.fromEntries(new URLSearchParams(text)) };
+  }
+  try {
+    return { json: JSON.parse(text) };
+  } catch (e) {
+    return { text };
+  }
+}
+
+function redactBody(body) {
+  if (!body) return body;
+  if (body.form) return { form: scrub(body.form, REDACTED) };
+  if ('json' in body) return { json: scrub(body.json, REDACTED) };
+  return body;
+}
+
+function requestKey(method, url, body) {
+  const { pathname, searchParams } = new URL(url);
+  searchParams.sort();
+  const query = searchParams.toString();
+  const normalized = body && (body.form || 'json' in body) ? scrub(body.form || body.json) : body;
+  return `${method.toUpperCase()} ${pathname}${query ? `?${query}` : ''}\n${JSON.stringify(normalized)}`;
+}
+
+function createUpstreamFixtures({ mode, dir }) {
+  if (!MODES.includes(mode)) throw new Error(`UPSTREAM_FIXTURES must be one of: ${MODES.join(', ')}`);
+  if (mode === 'record') fs.mkdirSync(dir, { recursive: true });
+
+  // A fetch for `service` ('iam', 'watsonx') with node-fetch's interface
+  function fetchFor(service) {
+    return async (url, init = {}) => {
+      const method = init.method || 'GET';
+      const headers = init.headers || {};
+      const contentType = headers['Content-Type'] || headers['content-type'] || '';
+      const body = parseBody(init.body, contentType);
+      const hash = crypto.createHash('sha256').update(requestKey(method, url, body)).digest('hex').slice(0, 16);
+      const file = path.join(dir, `${service}-${hash}.json`);
+
+      if (mode === 'replay') {
+        let fixture;
+        try {
+          fixture = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (e) {
+          throw httpError('NO_FIXTURE', `No recorded ${service} response for ${method} ${new URL(url).pathname} (${path.basename(file)})`);
+        }
+        log.debug('Replaying upstream fixture', { service, fixture: path.basename(file) });
+        const { status, contentType: type, body: saved } = fixture.response;
+        const text = saved && 'json' in saved ? JSON.stringify(saved.json) : (saved && saved.text) || '';
+        return new fetch.Response(text, { status, headers: type ? { 'Content-Type': type } : {} });
+      }
+
+      const res = await fetch(url, init);
+      const text = await res.text();
+      const { pathname, search } = new URL(url);
+      const type = res.headers.get('content-type') || '';
+      const parsed = parseBody(text, type);
+      const fixture = {
+        service,
+        recordedAt: new Date().toISOString(),
+        request: { method, path: pathname + search, contentType, body: redactBody(body) },
+        response: {
+          status: res.status,
+          contentType: type,
+          body: parsed && 'json' in parsed
+            ? { json: scrub(parsed.json, REDACTED, true) }
+            : parsed
+        }
+      };
+      await fs.promises.writeFile(file, JSON.stringify(fixture, null, 2) + '\n')
+        .then(() => log.debug('Recorded upstream fixture', { service, fixture: path.basename(file), status: res.status }))
+        .catch(err => log.warn('Cannot write upstream fixture', { file, error: err.message }));
+      // The caller still gets the live answer, unredacted
+      return new fetch.Response(text, { status: res.status, statusText: res.statusText, headers: res.headers });
+    };
+  }
+
+  return { mode, dir, fetchFor };
+}
+
+module.exports = { createUpstreamFixtures };
@@ -0,0 +1,126 @@
+// Export formats for generated tables. `json` is the route's own
+// { headers, rows, ... } response; every other format is rendered here from the
+// final headers and rows, so model and fallback output come out the same way.
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', render: renderCsv },
+  tsv: { contentType: 'text/tab-separated-values; charset=utf-8', extension: 'tsv', render: renderTsv },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md', render: renderMarkdown },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html', render: renderHtml },
+  records: { contentType: 'application/json; charset=utf-8', extension: 'json', render: renderRecords },
+  'figma-variables': { contentType: 'application/json; charset=utf-8', extension: 'json', render: renderFigmaVariables }
+};
+
+const EXPORT_FORMATS = ['json', ...Object.keys(FORMATS)];
+
+const text = (v) => (v === null || v === undefined ? '' : String(v));
+
+// Spreadsheets run a cell that starts with =, +, -, @, a tab or a carriage
+// return as a formula (CSV injection). Such cells get a leading ' unless they
+// are only a signed number or amount, like "-5" or "-$1,234.50".
+const FORMULA_START_RE = /^[=+\-@\t\r]/;
+const SIGNED_AMOUNT_RE = /^[+-]\p{Sc}?\s*\d[\d.,\s]*[\p{Sc}%]?$/u;
+const spreadsheetText = (v) => {
+  const s = text(v);
+  return FORMULA_START_RE.test(s) && !SIGNED_AMOUNT_RE.test(s) ? `'${s}` : s;
+};
+
+// RFC 4180: quote fields with a comma, quote, line break or edge whitespace; double inner quotes
+function csvField(v) {
+  const s = spreadsheetText(v);
+  return /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function renderCsv({ headers, rows }) {
+  return [headers, ...rows].map(r => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// TSV cannot quote, so tabs, line breaks and backslashes are escaped instead
+const tsvField = (v) => spreadsheetText(v).replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+
+function renderTsv({ headers, rows }) {
+  return [headers, ...rows].map(r => r.map(tsvField).join('\t')).join('\n') + '\n';
+}
+
+const markdownCell = (v) => text(v).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+
+function renderMarkdown({ headers, rows }) {
+  const line = (cells) => `| ${cells.map(markdownCell).join(' | ')} |`;
+  return [line(headers), `| ${headers.map(() => '---').join(' | ')} |`, ...rows.map(line)].join('\n') + '\n';
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const htmlCell = (v) => text(v).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+
+function renderHtml({ headers, rows }) {
+  const head = `    <tr>${headers.map(h => `<th>${htmlCell(h)}</th>`).join('')}</tr>`;
+  const body = rows.map(r => `    <tr>${r.map(c => `<td>${htmlCell(c)}</td>`).join('')}</tr>`);
+  return ['<table>', '  <thead>', head, '  </thead>', '  <tbody>', ...body, '  </tbody>', '</table>'].join('\n') + '\n';
+}
+
+// Object keys must be unique: a repeated header becomes "Name (2)"
+function uniqueKeys(headers) {
+  const seen = new Map();
+  return headers.map(h => {
+    const key = text(h);
+    const n = (seen.get(key.toLowerCase()) || 0) + 1;
+    seen.set(key.toLowerCase(), n);
+    return n === 1 ? key : `${key} (${n})`;
+  });
+}
+
+function renderRecords({ headers, rows }) {
+  const keys = uniqueKeys(headers);
+  return JSON.stringify(rows.map(r => Object.fromEntries(keys.map((k, i) => [k, text(r[i])]))));
+}
+
+// Figma variable types from the column schema; without one everything is a string
+const FIGMA_TYPES = { integer: 'FLOAT', decimal: 'FLOAT', boolean: 'BOOLEAN' };
+
+// Locale columns (see lib/columns.js) write decimals without grouping, so a
+// decimal comma is the only separator to swap
+function figmaValue(value, type, col) {
+  if (type === 'FLOAT') {
+    const s = col && col.locale && col.locale.decimalSeparator === ',' ? text(value).replace(',', '.') : text(value);
+    const n = Number(s.replace(/[^0-9.eE+-]/g, ''));
+    return isFinite(n) ? n : 0;
+  }
+  if (type === 'BOOLEAN') return text(value).toLowerCase() === 'true';
+  return text(value);
+}
+
+// One variable per cell, grouped by row ("Row 1/Name"), in a single-mode collection.
+// "/" separates groups in Figma and ".", "$", "{", "}" are not allowed in
+// variable names, so they are replaced in header names.
+function renderFigmaVariables({ headers, rows, schema, name }) {
+  const keys = uniqueKeys(headers).map(k => k.replace(/[/.${}]/g, '-').trim() || 'Column');
+  const types = headers.map((h, i) => (schema && schema[i] && FIGMA_TYPES[schema[i].type]) || 'STRING');
+  const modeId = 'default';
+  return JSON.stringify({
+    collection: { name: name || 'Generated table', modes: [{ modeId, name: 'Default' }] },
+    variables: rows.flatMap((r, ri) => keys.map((k, c) => ({
+      name: `Row ${ri + 1}/${k}`,
+      resolvedType: types[c],
+      valuesByMode: { [modeId]: figmaValue(r[c], types[c], schema && schema[c]) }
+    })))
+  });
+}
+
+// Keep download names to a safe character set and give them the format's extension
+function downloadName(filename, extension) {
+  const base = text(filename).replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^[._]+/, '').slice(0, 100) || 'table';
+  return base.toLowerCase().endsWith(`.${extension}`) ? base : `${base}.${extension}`;
+}
+
+// Render `table` ({ headers, rows, schema?, name? }) as `format` (anything but json).
+// Returns { contentType, body, filename } where filename is set when one was asked for.
+function exportTable(format, table, filename) {
+  const spec = FORMATS[format];
+  return {
+    contentType: spec.contentType,
+    body: spec.render(table),
+    filename: filename ? downloadName(filename, spec.extension) : undefined
+  };
+}
+
+module.exports = { EXPORT_FORMATS, exportTable, downloadName };
@@ -0,0 +1,104 @@
+// IBM Cloud IAM token handling. The server keeps one token for WATSON_API_KEY,
+// reuses it until shortly before it expires and refreshes it in the background.
+const fetch = require('node-fetch');
+const { httpError, upstreamError } = require('./errors');
+const { logger: log } = require('./logger');
+
+const DEFAULT_IAM_URL = 'https://iam.cloud.ibm.com/identity/token';
+// IAM normally answers in well under a second
+const IAM_TIMEOUT_MS = 15000;
+// The refresh margin never takes more than this share of a token's lifetime, so
+// a token that lives shorter than the margin is still reused until then
+const MAX_MARGIN_SHARE = 0.5;
+
+// Exchange an API key for an IAM token. Resolves to the raw IAM response
+// ({ access_token, expires_in, expiration, ... }). `fetchImpl` can replace
+// node-fetch, e.g. with a recording or replaying one (lib/fixtures.js).
+async function requestIamToken(apiKey, iamUrl = DEFAULT_IAM_URL, fetchImpl = fetch) {
+  const tokenRes = await fetchImpl(iamUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    },
+    body: `grant_type=urn:ibm:params:oauth:grant-type:apikey&apikey=${encodeURIComponent(apiKey)}`,
+    timeout: IAM_TIMEOUT_MS
+  });
+
+  if (!tokenRes.ok) {
+    // IAM answers 400 for an unknown or malformed key; its body is not passed on
+    if (tokenRes.status === 400 || tokenRes.status === 401) {
+      throw httpError('UPSTREAM_AUTH', `IAM token request failed: ${tokenRes.status}`);
+    }
+    throw upstreamError('IAM token request', tokenRes.status);
+  }
+
+  return tokenRes.json();
+}
+
+// Cache for a single API key. `refreshMarginSec` is how long before expiry the
+// token is considered stale and a background refresh is scheduled (at most
+// half of the token's lifetime).
+function createTokenManager({ apiKey, iamUrl = DEFAULT_IAM_URL, refreshMarginSec = 300, fetch: fetchImpl = fetch }) {
+  let token = null;
+  let expiresAt = 0;
+  let marginMs = refreshMarginSec * 1000;
+  let inflight = null;
+  let timer = null;
+
+  const isFresh = () => token && Date.now() < expiresAt - marginMs;
+
+  function scheduleRefresh() {
+    if (timer) clearTimeout(timer);
+    const delay = Math.max(expiresAt - marginMs - Date.now(), 1000);
+    timer = setTimeout(() => {
+      timer = null;
+      refresh().catch(err => log.warn('IAM background token refresh failed', { err }));
+    }, delay);
+    // Do not keep the process alive just to refresh a token
+    if (timer.unref) timer.unref();
+  }
+
+  // All callers that need a new token while one is being fetched share the same request
+  function refresh() {
+    if (inflight) return inflight;
+    inflight = requestIamToken(apiKey, iamUrl, fetchImpl)
+      .then(data => {
+        token = data.access_token;
+        const expiresIn = Number(data.expires_in) || 3600;
+        expiresAt = data.expiration ? Number(data.expiration) * 1000 : Date.now() + expiresIn * 1000;
+        marginMs = Math.min(refreshMarginSec * 1000, expiresIn * 1000 * MAX_MARGIN_SHARE);
+        scheduleRefresh();
+        return token;
+      })
+      .finally(() => { inflight = null; });
+    return inflight;
+  }
+
+  return {
+    get configured() { return !!apiKey; },
+
+    async getToken({ forceRefresh = false } = {}) {
+      if (!apiKey) {
+        throw httpError('MISSING_CREDENTIALS', 'No access token: set WATSON_API_KEY on the server or pass accessToken');
+      }
+      if (!forceRefresh && isFresh()) return token;
+      return refresh();
+    },
+
+    // Drop the cached token, e.g. after watsonx rejected it with a 401
+    invalidate(rejected) {
+      if (rejected === undefined || rejected === token) {
+        token = null;
+        expiresAt = 0;
+      }
+    },
+
+    stop() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = { DEFAULT_IAM_URL, requestIamToken, createTokenManager };
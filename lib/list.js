@@ -0,0 +1,146 @@
+// List generation for /generate: parse the model's answer into strings, drop
+// duplicates and items outside the length limits, and ask the model for more
+// until `count` distinct items are collected or the top-up budget runs out.
+const { extractJson } = require('./extract');
+const { localeInstruction } = require('./locales');
+const { builtinTemplate } = require('./prompts');
+const { logger: log } = require('./logger');
+
+const DEFAULT_MAX_TOP_UPS = 3;
+// Token limit per call when the template sets no max_new_tokens
+const DEFAULT_MAX_NEW_TOKENS = 1024;
+// Existing items quoted back to the model in a top-up prompt
+const MAX_EXCLUDED_ITEMS = 100;
+
+// "[1] Apple": a bracketed list marker with the item after it on the same line
+const isListMarker = (arr, { text, end }) =>
+  arr.length === 1 && /^\w{1,3}$/.test(String(arr[0])) && /^[^\S\n]*\S/.test(text.slice(end));
+
+// Helper to normalize text into an array of strings
+function normalizeToList(text) {
+  if (!text) return [];
+  let t = text.trim();
+  // A JSON array anywhere in the text; quotes, fences and truncation are repaired
+  const { value } = extractJson(t, { expect: 'array', accept: (arr, at) => arr.length > 0 && !isListMarker(arr, at) });
+  if (value) {
+    return value
+      .flat()
+      .map(x => x !== null && typeof x === 'object' ? Object.values(x).join(' ') : String(x ?? ''))
+      .map(x => x.trim())
+      .filter(x => x.length > 0);
+  }
+  // CSV-like: a, b, c
+  if (t.includes(',') && !t.includes('\n')) {
+    return t.split(',').map(s => s.trim()).map(s => s.replace(/^"|"$/g, '').replace(/^'|'$/g, '')).filter(s => s.length > 0);
+  }
+  // Fallback: split by lines
+  return t
+    .split('\n')
+    .map(s => s.replace(/^(?:\[\w{1,3}\]|[-*\d\.)\s])+/, '').trim())
+    .map(s => s.replace(/^"|"$/g, '').replace(/^'|'$/g, ''))
+    .filter(s => s.length > 0);
+}
+
+// "  Acme  Corp." and "acme corp" are the same item
+const itemKey = (item) => item.toLowerCase().replace(/\s+/g, ' ').replace(/[.,;:!]+$/, '').trim();
+
+const wordCount = (item) => item.split(/\s+/).filter(Boolean).length;
+
+function buildListPrompt({ prompt, count, existing, minWords, maxWords, maxLength, locale, template }) {
+  const words = minWords || maxWords
+    ? `Each item must have ${minWords && maxWords ? `${minWords}-${maxWords}` : minWords ? `at least ${minWords}` : `at most ${maxWords}`} words and be domain-relevant.`
+    : 'Each item should be 2-4 words and domain-relevant.';
+  const length = maxLength ? `\nEach item must be at most ${maxLength} characters long.` : '';
+  const language = locale ? `\n${localeInstruction(locale)}` : '';
+
+  return template.render('user', {
+    prompt,
+    count,
+    more: existing.length ? ' more' : '',
+    exclusions: existing.length ? `\nThey must all be different from these existing values: ${JSON.stringify(existing.slice(-MAX_EXCLUDED_ITEMS))}` : '',
+    words,
+    length,
+    language
+  });
+}
+
+// Resolves to { items, warning, calls, unparsed }, where `unparsed` counts model
+// answers that held no list at all. `warning` is set when fewer than `count`
+// distinct items could be collected; the list is never padded. `locale`
+// (lib/locales.js) tells the model which language to write in; `template` is a
+// list template from lib/prompts.js.
+async function generateList({
+  provider, model, endpoint, accessToken,
+  prompt, count, maxLength, minWords, maxWords, locale = null, template = builtinTemplate('list'),
+  maxTopUps = DEFAULT_MAX_TOP_UPS
+}) {
+  const items = [];
+  const seen = new Set();
+  let duplicates = 0;
+  let rejected = 0;
+  let calls = 0;
+  let unparsed = 0;
+
+  const fits = (item) =>
+    (!maxLength || item.length <= maxLength) &&
+    (!minWords || wordCount(item) >= minWords) &&
+    (!maxWords || wordCount(item) <= maxWords);
+
+  const { max_new_tokens: maxNewTokens = DEFAULT_MAX_NEW_TOKENS, ...decoding } = template.parameters;
+
+  while (items.length < count && calls <= maxTopUps) {
+    const need = count - items.length;
+    const messages = [
+      {
+        role: "system",
+        content: template.render('system')
+      },
+      {
+        role: "user",
+        content: buildListPrompt({ prompt, count: need, existing: items, minWords, maxWords, maxLength, locale, template })
+      }
+    ];
+
+    const text = await provider.chat({
+      model,
+      messages,
+      parameters: {
+        ...decoding,
+        max_new_tokens: Math.min(maxNewTokens, Math.max(128, need * 16))
+      },
+      endpoint,
+      accessToken,
+      task: { type: 'list', prompt, count: need, startIndex: items.length }
+    });
+    calls++;
+
+    log.content('Model output', text, { call: calls });
+
+    const answer = normalizeToList(text);
+    if (!answer.length) unparsed++;
+    let added = 0;
+    for (const item of answer) {
+      if (items.length >= count) break;
+      const key = itemKey(item);
+      if (!key) continue;
+      if (seen.has(key)) { duplicates++; continue; }
+      if (!fits(item)) { rejected++; continue; }
+      seen.add(key);
+      items.push(item);
+      added++;
+    }
+    if (added === 0 && calls > 1) break; // the model has run out of new ideas
+  }
+
+  let warning;
+  if (items.length < count) {
+    const why = [];
+    if (duplicates) why.push(`${duplicates} duplicate(s) removed`);
+    if (rejected) why.push(`${rejected} item(s) outside the length limits removed`);
+    warning = `Only ${items.length} of ${count} distinct values could be generated after ${calls} model call(s)${why.length ? ` (${why.join(', ')})` : ''}`;
+  }
+
+  return { items, warning, calls, unparsed };
+}
+
+module.exports = { DEFAULT_MAX_TOP_UPS, normalizeToList, generateList };
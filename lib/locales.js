@@ -0,0 +1,305 @@
+// Locale support for prompts and fallback data. `resolveLocale(tag)` accepts any
+// valid BCP 47 tag; names, phone formats, cities and header labels come from the
+// closest entry in LOCALES (same tag, then same language, then en-US), while
+// dates, numbers and currency are always formatted by Intl for the exact tag.
+const { httpError } = require('./errors');
+
+// `names` entries may be "native|latin" so usernames and emails stay ASCII.
+// `phone`: # -> random digit. `column` names padding columns ("Column {n}").
+// `headers` maps the English fallback headers to local labels; it covers every
+// header of the packs in domains/ (test/locales.test.js checks). Headers of other
+// domain packs stay in English unless they are added here.
+const LOCALES = {
+  'en-US': {
+    currency: 'USD',
+    emailDomain: 'example.com',
+    phone: '+1-###-###-####',
+    firstNames: ['Liam','Noah','Oliver','Elijah','James','William','Benjamin','Lucas','Henry','Alexander','Emma','Olivia','Ava','Isabella','Sophia','Mia','Charlotte','Amelia','Harper','Evelyn'],
+    lastNames: ['Smith','Johnson','Williams','Brown','Jones','Garcia','Miller','Davis','Rodriguez','Martinez','Hernandez','Lopez','Gonzalez','Wilson','Anderson','Thomas','Taylor','Moore','Jackson','Martin'],
+    cities: ['New York','San Francisco','Chicago','Austin','Seattle','Boston','Denver','Atlanta'],
+    column: 'Column {n}',
+    headers: {}
+  },
+  'en-GB': {
+    currency: 'GBP',
+    emailDomain: 'example.co.uk',
+    phone: '+44 20 #### ####',
+    firstNames: ['Oliver','George','Harry','Jack','Jacob','Charlie','Thomas','Oscar','Olivia','Amelia','Isla','Ava','Emily','Sophie','Grace','Lily'],
+    lastNames: ['Smith','Jones','Taylor','Brown','Williams','Wilson','Johnson','Davies','Patel','Robinson','Wright','Thompson','Evans','Walker'],
+    cities: ['London','Manchester','Birmingham','Edinburgh','Glasgow','Bristol','Leeds','Cardiff'],
+    column: 'Column {n}',
+    headers: {}
+  },
+  'de-DE': {
+    currency: 'EUR',
+    emailDomain: 'example.de',
+    phone: '+49 30 ########',
+    firstNames: ['Lukas','Leon','Finn','Jonas','Paul','Felix','Maximilian','Elias','Emma','Mia','Hannah','Sophie','Lea','Lena','Marie','Anna'],
+    lastNames: ['Müller','Schmidt','Schneider','Fischer','Weber','Meyer','Wagner','Becker','Schulz','Hoffmann','Schäfer','Koch','Bauer','Richter'],
+    cities: ['Berlin','Hamburg','München','Köln','Frankfurt am Main','Stuttgart','Düsseldorf','Leipzig'],
+    column: 'Spalte {n}',
+    headers: {
+      'User ID': 'Benutzer-ID', 'Name': 'Name', 'Full Name': 'Vollständiger Name', 'Email': 'E-Mail', 'Role': 'Rolle',
+      'Department': 'Abteilung', 'Status': 'Status', 'Username': 'Benutzername', 'Phone': 'Telefon', 'Location': 'Standort',
+      'Manager': 'Vorgesetzte:r', 'Last Login': 'Letzte Anmeldung', 'Created At': 'Erstellt am', 'Updated At': 'Aktualisiert am',
+      'Country': 'Land', 'City': 'Stadt', 'Date': 'Datum', 'Category': 'Kategorie', 'Price': 'Preis', 'Quantity': 'Menge',
+      'Customer': 'Kunde', 'Product': 'Produkt', 'Amount': 'Betrag', 'Total': 'Gesamt', 'Description': 'Beschreibung',
+      'Type': 'Typ', 'Priority': 'Priorität', 'Supplier': 'Lieferant', 'Warehouse': 'Lager', 'Notes': 'Notizen',
+      'Order ID': 'Bestell-ID', 'Product ID': 'Produkt-ID', 'Payment Method': 'Zahlungsart', 'Currency': 'Währung',
+      'Transaction ID': 'Transaktions-ID', 'Account': 'Konto', 'Merchant': 'Händler', 'Balance': 'Saldo', 'Appointment ID': 'Termin-ID',
+      'Patient': 'Patient:in', 'Doctor': 'Ärzt:in', 'Time': 'Uhrzeit', 'Visit Type': 'Besuchsart', 'Room': 'Raum',
+      'Insurance': 'Versicherung', 'Duration (min)': 'Dauer (Min.)', 'Item ID': 'Artikel-ID', 'SKU': 'SKU', 'Item Name': 'Artikelname',
+      'Bin Location': 'Lagerplatz', 'Reorder Level': 'Meldebestand', 'Unit Cost': 'Stückkosten', 'Last Restocked': 'Zuletzt aufgefüllt', 'Ticket ID': 'Ticket-ID',
+      'Subject': 'Betreff', 'Assignee': 'Bearbeiter:in', 'Channel': 'Kanal', 'SLA Due': 'SLA-Frist', 'Satisfaction': 'Zufriedenheit',
+      'Stock': 'Bestand', 'Rating': 'Bewertung', 'Brand': 'Marke', 'Color': 'Farbe', 'Weight': 'Gewicht',
+      'Dimensions': 'Abmessungen', 'Release Date': 'Erscheinungsdatum', 'Shipping Address': 'Lieferadresse', 'Tracking No': 'Sendungsnummer', 'Sales Rep': 'Vertriebsmitarbeiter:in',
+      'Discount': 'Rabatt', 'Tax': 'Steuer', 'Application': 'Anwendung', 'Hostname': 'Hostname', 'Method': 'Methode',
+      'Start Time': 'Startzeit', 'Response Time (ms)': 'Antwortzeit (ms)', 'Load Time (ms)': 'Ladezeit (ms)', 'Downtime (min)': 'Ausfallzeit (Min.)', 'Region': 'Region',
+      'SLA (%)': 'SLA (%)', 'Error Rate (%)': 'Fehlerquote (%)', 'CPU (%)': 'CPU (%)', 'Memory (%)': 'Arbeitsspeicher (%)', 'Disk (%)': 'Festplatte (%)',
+      'Endpoint': 'Endpunkt', 'Env': 'Umgebung'
+    }
+  },
+  'fr-FR': {
+    currency: 'EUR',
+    emailDomain: 'example.fr',
+    phone: '+33 1 ## ## ## ##',
+    firstNames: ['Gabriel','Léo','Raphaël','Louis','Arthur','Jules','Hugo','Lucas','Jade','Louise','Emma','Alice','Chloé','Léa','Manon','Camille'],
+    lastNames: ['Martin','Bernard','Dubois','Thomas','Robert','Richard','Petit','Durand','Leroy','Moreau','Simon','Laurent','Lefèvre','Michel'],
+    cities: ['Paris','Lyon','Marseille','Toulouse','Nice','Nantes','Strasbourg','Bordeaux'],
+    column: 'Colonne {n}',
+    headers: {
+      'User ID': 'ID utilisateur', 'Name': 'Nom', 'Full Name': 'Nom complet', 'Email': 'E-mail', 'Role': 'Rôle',
+      'Department': 'Service', 'Status': 'Statut', 'Username': "Nom d'utilisateur", 'Phone': 'Téléphone', 'Location': 'Site',
+      'Manager': 'Responsable', 'Last Login': 'Dernière connexion', 'Created At': 'Créé le', 'Updated At': 'Mis à jour le',
+      'Country': 'Pays', 'City': 'Ville', 'Date': 'Date', 'Category': 'Catégorie', 'Price': 'Prix', 'Quantity': 'Quantité',
+      'Customer': 'Client', 'Product': 'Produit', 'Amount': 'Montant', 'Total': 'Total', 'Description': 'Description',
+      'Type': 'Type', 'Priority': 'Priorité', 'Supplier': 'Fournisseur', 'Warehouse': 'Entrepôt', 'Notes': 'Remarques',
+      'Order ID': 'ID commande', 'Product ID': 'ID produit', 'Payment Method': 'Moyen de paiement', 'Currency': 'Devise',
+      'Transaction ID': 'ID transaction', 'Account': 'Compte', 'Merchant': 'Commerçant', 'Balance': 'Solde', 'Appointment ID': 'ID rendez-vous',
+      'Patient': 'Patient', 'Doctor': 'Médecin', 'Time': 'Heure', 'Visit Type': 'Type de visite', 'Room': 'Salle',
+      'Insurance': 'Assurance', 'Duration (min)': 'Durée (min)', 'Item ID': 'ID article', 'SKU': 'SKU', 'Item Name': "Nom de l'article",
+      'Bin Location': 'Emplacement', 'Reorder Level': 'Seuil de réapprovisionnement', 'Unit Cost': 'Coût unitaire', 'Last Restocked': 'Dernier réapprovisionnement', 'Ticket ID': 'ID ticket',
+      'Subject': 'Objet', 'Assignee': 'Assigné à', 'Channel': 'Canal', 'SLA Due': 'Échéance SLA', 'Satisfaction': 'Satisfaction',
+      'Stock': 'Stock', 'Rating': 'Note', 'Brand': 'Marque', 'Color': 'Couleur', 'Weight': 'Poids',
+      'Dimensions': 'Dimensions', 'Release Date': 'Date de sortie', 'Shipping Address': 'Adresse de livraison', 'Tracking No': 'N° de suivi', 'Sales Rep': 'Commercial',
+      'Discount': 'Remise', 'Tax': 'Taxe', 'Application': 'Application', 'Hostname': "Nom d'hôte", 'Method': 'Méthode',
+      'Start Time': 'Heure de début', 'Response Time (ms)': 'Temps de réponse (ms)', 'Load Time (ms)': 'Temps de chargement (ms)', 'Downtime (min)': 'Indisponibilité (min)', 'Region': 'Région',
+      'SLA (%)': 'SLA (%)', 'Error Rate (%)': "Taux d'erreur (%)", 'CPU (%)': 'CPU (%)', 'Memory (%)': 'Mémoire (%)', 'Disk (%)': 'Disque (%)',
+      'Endpoint': 'Point de terminaison', 'Env': 'Environnement'
+    }
+  },
+  'es-ES': {
+    currency: 'EUR',
+    emailDomain: 'example.es',
+    phone: '+34 9## ### ###',
+    firstNames: ['Hugo','Martín','Lucas','Mateo','Leo','Daniel','Alejandro','Pablo','Lucía','Sofía','Martina','María','Julia','Paula','Valeria','Carmen'],
+    lastNames: ['García','Rodríguez','González','Fernández','López','Martínez','Sánchez','Pérez','Gómez','Martín','Jiménez','Ruiz','Hernández','Díaz'],
+    cities: ['Madrid','Barcelona','Valencia','Sevilla','Zaragoza','Málaga','Bilbao','Palma'],
+    column: 'Columna {n}',
+    headers: {
+      'User ID': 'ID de usuario', 'Name': 'Nombre', 'Full Name': 'Nombre completo', 'Email': 'Correo electrónico', 'Role': 'Rol',
+      'Department': 'Departamento', 'Status': 'Estado', 'Username': 'Nombre de usuario', 'Phone': 'Teléfono', 'Location': 'Ubicación',
+      'Manager': 'Responsable', 'Last Login': 'Último acceso', 'Created At': 'Creado el', 'Updated At': 'Actualizado el',
+      'Country': 'País', 'City': 'Ciudad', 'Date': 'Fecha', 'Category': 'Categoría', 'Price': 'Precio', 'Quantity': 'Cantidad',
+      'Customer': 'Cliente', 'Product': 'Producto', 'Amount': 'Importe', 'Total': 'Total', 'Description': 'Descripción',
+      'Type': 'Tipo', 'Priority': 'Prioridad', 'Supplier': 'Proveedor', 'Warehouse': 'Almacén', 'Notes': 'Notas',
+      'Order ID': 'ID de pedido', 'Product ID': 'ID de producto', 'Payment Method': 'Método de pago', 'Currency': 'Moneda',
+      'Transaction ID': 'ID de transacción', 'Account': 'Cuenta', 'Merchant': 'Comercio', 'Balance': 'Saldo', 'Appointment ID': 'ID de cita',
+      'Patient': 'Paciente', 'Doctor': 'Médico', 'Time': 'Hora', 'Visit Type': 'Tipo de visita', 'Room': 'Sala',
+      'Insurance': 'Seguro', 'Duration (min)': 'Duración (min)', 'Item ID': 'ID de artículo', 'SKU': 'SKU', 'Item Name': 'Nombre del artículo',
+      'Bin Location': 'Ubicación en almacén', 'Reorder Level': 'Punto de pedido', 'Unit Cost': 'Coste unitario', 'Last Restocked': 'Última reposición', 'Ticket ID': 'ID de ticket',
+      'Subject': 'Asunto', 'Assignee': 'Asignado a', 'Channel': 'Canal', 'SLA Due': 'Vencimiento SLA', 'Satisfaction': 'Satisfacción',
+      'Stock': 'Existencias', 'Rating': 'Valoración', 'Brand': 'Marca', 'Color': 'Color', 'Weight': 'Peso',
+      'Dimensions': 'Dimensiones', 'Release Date': 'Fecha de lanzamiento', 'Shipping Address': 'Dirección de envío', 'Tracking No': 'N.º de seguimiento', 'Sales Rep': 'Comercial',
+      'Discount': 'Descuento', 'Tax': 'Impuesto', 'Application': 'Aplicación', 'Hostname': 'Nombre de host', 'Method': 'Método',
+      'Start Time': 'Hora de inicio', 'Response Time (ms)': 'Tiempo de respuesta (ms)', 'Load Time (ms)': 'Tiempo de carga (ms)', 'Downtime (min)': 'Tiempo de inactividad (min)', 'Region': 'Región',
+      'SLA (%)': 'SLA (%)', 'Error Rate (%)': 'Tasa de error (%)', 'CPU (%)': 'CPU (%)', 'Memory (%)': 'Memoria (%)', 'Disk (%)': 'Disco (%)',
+      'Endpoint': 'Endpoint', 'Env': 'Entorno'
+    }
+  },
+  'it-IT': {
+    currency: 'EUR',
+    emailDomain: 'example.it',
+    phone: '+39 02 #### ####',
+    firstNames: ['Leonardo','Francesco','Alessandro','Lorenzo','Mattia','Tommaso','Riccardo','Edoardo','Sofia','Giulia','Aurora','Alice','Ginevra','Emma','Giorgia','Beatrice'],
+    lastNames: ['Rossi','Russo','Ferrari','Esposito','Bianchi','Romano','Colombo','Ricci','Marino','Greco','Bruno','Gallo','Conti','De Luca'],
+    cities: ['Roma','Milano','Napoli','Torino','Bologna','Firenze','Genova','Venezia'],
+    column: 'Colonna {n}',
+    headers: {
+      'User ID': 'ID utente', 'Name': 'Nome', 'Full Name': 'Nome completo', 'Email': 'E-mail', 'Role': 'Ruolo',
+      'Department': 'Reparto', 'Status': 'Stato', 'Username': 'Nome utente', 'Phone': 'Telefono', 'Location': 'Sede',
+      'Manager': 'Responsabile', 'Last Login': 'Ultimo accesso', 'Created At': 'Creato il', 'Updated At': 'Aggiornato il',
+      'Country': 'Paese', 'City': 'Città', 'Date': 'Data', 'Category': 'Categoria', 'Price': 'Prezzo', 'Quantity': 'Quantità',
+      'Customer': 'Cliente', 'Product': 'Prodotto', 'Amount': 'Importo', 'Total': 'Totale', 'Description': 'Descrizione',
+      'Type': 'Tipo', 'Priority': 'Priorità', 'Supplier': 'Fornitore', 'Warehouse': 'Magazzino', 'Notes': 'Note',
+      'Order ID': 'ID ordine', 'Product ID': 'ID prodotto', 'Payment Method': 'Metodo di pagamento', 'Currency': 'Valuta',
+      'Transaction ID': 'ID transazione', 'Account': 'Conto', 'Merchant': 'Esercente', 'Balance': 'Saldo', 'Appointment ID': 'ID appuntamento',
+      'Patient': 'Paziente', 'Doctor': 'Medico', 'Time': 'Ora', 'Visit Type': 'Tipo di visita', 'Room': 'Sala',
+      'Insurance': 'Assicurazione', 'Duration (min)': 'Durata (min)', 'Item ID': 'ID articolo', 'SKU': 'SKU', 'Item Name': 'Nome articolo',
+      'Bin Location': 'Ubicazione', 'Reorder Level': 'Punto di riordino', 'Unit Cost': 'Costo unitario', 'Last Restocked': 'Ultimo rifornimento', 'Ticket ID': 'ID ticket',
+      'Subject': 'Oggetto', 'Assignee': 'Assegnatario', 'Channel': 'Canale', 'SLA Due': 'Scadenza SLA', 'Satisfaction': 'Soddisfazione',
+      'Stock': 'Giacenza', 'Rating': 'Valutazione', 'Brand': 'Marca', 'Color': 'Colore', 'Weight': 'Peso',
+      'Dimensions': 'Dimensioni', 'Release Date': 'Data di uscita', 'Shipping Address': 'Indirizzo di spedizione', 'Tracking No': 'N. tracking', 'Sales Rep': 'Commerciale',
+      'Discount': 'Sconto', 'Tax': 'Imposta', 'Application': 'Applicazione', 'Hostname': 'Nome host', 'Method': 'Metodo',
+      'Start Time': 'Ora di inizio', 'Response Time (ms)': 'Tempo di risposta (ms)', 'Load Time (ms)': 'Tempo di caricamento (ms)', 'Downtime (min)': 'Inattività (min)', 'Region': 'Regione',
+      'SLA (%)': 'SLA (%)', 'Error Rate (%)': 'Tasso di errore (%)', 'CPU (%)': 'CPU (%)', 'Memory (%)': 'Memoria (%)', 'Disk (%)': 'Disco (%)',
+      'Endpoint': 'Endpoint', 'Env': 'Ambiente'
+    }
+  },
+  'pt-BR': {
+    currency: 'BRL',
+    emailDomain: 'example.com.br',
+    phone: '+55 11 9####-####',
+    firstNames: ['Miguel','Arthur','Gael','Heitor','Theo','Davi','Gabriel','Bernardo','Helena','Alice','Laura','Maria Alice','Valentina','Heloísa','Maria Clara','Júlia'],
+    lastNames: ['Silva','Santos','Oliveira','Souza','Rodrigues','Ferreira','Alves','Pereira','Lima','Gomes','Costa','Ribeiro','Martins','Carvalho'],
+    cities: ['São Paulo','Rio de Janeiro','Belo Horizonte','Brasília','Salvador','Curitiba','Porto Alegre','Recife'],
+    column: 'Coluna {n}',
+    headers: {
+      'User ID': 'ID do usuário', 'Name': 'Nome', 'Full Name': 'Nome completo', 'Email': 'E-mail', 'Role': 'Função',
+      'Department': 'Departamento', 'Status': 'Status', 'Username': 'Nome de usuário', 'Phone': 'Telefone', 'Location': 'Local',
+      'Manager': 'Gestor', 'Last Login': 'Último acesso', 'Created At': 'Criado em', 'Updated At': 'Atualizado em',
+      'Country': 'País', 'City': 'Cidade', 'Date': 'Data', 'Category': 'Categoria', 'Price': 'Preço', 'Quantity': 'Quantidade',
+      'Customer': 'Cliente', 'Product': 'Produto', 'Amount': 'Valor', 'Total': 'Total', 'Description': 'Descrição',
+      'Type': 'Tipo', 'Priority': 'Prioridade', 'Supplier': 'Fornecedor', 'Warehouse': 'Depósito', 'Notes': 'Observações',
+      'Order ID': 'ID do pedido', 'Product ID': 'ID do produto', 'Payment Method': 'Forma de pagamento', 'Currency': 'Moeda',
+      'Transaction ID': 'ID da transação', 'Account': 'Conta', 'Merchant': 'Estabelecimento', 'Balance': 'Saldo', 'Appointment ID': 'ID da consulta',
+      'Patient': 'Paciente', 'Doctor': 'Médico', 'Time': 'Horário', 'Visit Type': 'Tipo de consulta', 'Room': 'Sala',
+      'Insurance': 'Convênio', 'Duration (min)': 'Duração (min)', 'Item ID': 'ID do item', 'SKU': 'SKU', 'Item Name': 'Nome do item',
+      'Bin Location': 'Endereço no estoque', 'Reorder Level': 'Ponto de reposição', 'Unit Cost': 'Custo unitário', 'Last Restocked': 'Última reposição', 'Ticket ID': 'ID do chamado',
+      'Subject': 'Assunto', 'Assignee': 'Responsável', 'Channel': 'Canal', 'SLA Due': 'Prazo do SLA', 'Satisfaction': 'Satisfação',
+      'Stock': 'Estoque', 'Rating': 'Avaliação', 'Brand': 'Marca', 'Color': 'Cor', 'Weight': 'Peso',
+      'Dimensions': 'Dimensões', 'Release Date': 'Data de lançamento', 'Shipping Address': 'Endereço de entrega', 'Tracking No': 'Código de rastreio', 'Sales Rep': 'Vendedor',
+      'Discount': 'Desconto', 'Tax': 'Imposto', 'Application': 'Aplicação', 'Hostname': 'Nome do host', 'Method': 'Método',
+      'Start Time': 'Horário de início', 'Response Time (ms)': 'Tempo de resposta (ms)', 'Load Time (ms)': 'Tempo de carregamento (ms)', 'Downtime (min)': 'Indisponibilidade (min)', 'Region': 'Região',
+      'SLA (%)': 'SLA (%)', 'Error Rate (%)': 'Taxa de erro (%)', 'CPU (%)': 'CPU (%)', 'Memory (%)': 'Memória (%)', 'Disk (%)': 'Disco (%)',
+      'Endpoint': 'Endpoint', 'Env': 'Ambiente'
+    }
+  },
+  'ja-JP': {
+    currency: 'JPY',
+    emailDomain: 'example.jp',
+    phone: '+81 3-####-####',
+    // Family name first, as written in Japanese
+    familyFirst: true,
+    firstNames: ['陽翔|haruto','蓮|ren','湊|minato','大翔|hiroto','悠真|yuma','陽葵|himari','凛|rin','結菜|yuina','葵|aoi','芽依|mei','さくら|sakura','美咲|misaki'],
+    lastNames: ['佐藤|sato','鈴木|suzuki','高橋|takahashi','田中|tanaka','伊藤|ito','渡辺|watanabe','山本|yamamoto','中村|nakamura','小林|kobayashi','加藤|kato','吉田|yoshida','山田|yamada'],
+    cities: ['東京','大阪','横浜','名古屋','札幌','福岡','京都','神戸'],
+    column: '列{n}',
+    headers: {
+      'User ID': 'ユーザーID', 'Name': '氏名', 'Full Name': '氏名', 'Email': 'メールアドレス', 'Role': '役割',
+      'Department': '部署', 'Status': 'ステータス', 'Username': 'ユーザー名', 'Phone': '電話番号', 'Location': '拠点',
+      'Manager': '上長', 'Last Login': '最終ログイン', 'Created At': '作成日', 'Updated At': '更新日',
+      'Country': '国', 'City': '都市', 'Date': '日付', 'Category': 'カテゴリ', 'Price': '価格', 'Quantity': '数量',
+      'Customer': '顧客', 'Product': '製品', 'Amount': '金額', 'Total': '合計', 'Description': '説明',
+      'Type': '種類', 'Priority': '優先度', 'Supplier': '仕入先', 'Warehouse': '倉庫', 'Notes': '備考',
+      'Order ID': '注文ID', 'Product ID': '製品ID', 'Payment Method': '支払方法', 'Currency': '通貨',
+      'Transaction ID': '取引ID', 'Account': '口座', 'Merchant': '加盟店', 'Balance': '残高', 'Appointment ID': '予約ID',
+      'Patient': '患者', 'Doctor': '医師', 'Time': '時刻', 'Visit Type': '受診区分', 'Room': '診察室',
+      'Insurance': '保険', 'Duration (min)': '所要時間（分）', 'Item ID': '品目ID', 'SKU': 'SKU', 'Item Name': '品名',
+      'Bin Location': '棚番', 'Reorder Level': '発注点', 'Unit Cost': '単価', 'Last Restocked': '最終入荷日', 'Ticket ID': 'チケットID',
+      'Subject': '件名', 'Assignee': '担当者', 'Channel': 'チャネル', 'SLA Due': 'SLA期限', 'Satisfaction': '満足度',
+      'Stock': '在庫数', 'Rating': '評価', 'Brand': 'ブランド', 'Color': '色', 'Weight': '重量',
+      'Dimensions': '寸法', 'Release Date': '発売日', 'Shipping Address': '配送先住所', 'Tracking No': '追跡番号', 'Sales Rep': '営業担当',
+      'Discount': '割引', 'Tax': '税額', 'Application': 'アプリケーション', 'Hostname': 'ホスト名', 'Method': 'メソッド',
+      'Start Time': '開始時刻', 'Response Time (ms)': '応答時間（ms）', 'Load Time (ms)': '読み込み時間（ms）', 'Downtime (min)': '停止時間（分）', 'Region': 'リージョン',
+      'SLA (%)': 'SLA（%）', 'Error Rate (%)': 'エラー率（%）', 'CPU (%)': 'CPU（%）', 'Memory (%)': 'メモリ（%）', 'Disk (%)': 'ディスク（%）',
+      'Endpoint': 'エンドポイント', 'Env': '環境'
+    }
+  }
+};
+
+const SUPPORTED_LOCALES = Object.keys(LOCALES);
+// Regions whose currency differs from the entry their language falls back to
+const REGION_CURRENCIES = { AT: 'EUR', CH: 'CHF', BE: 'EUR', CA: 'CAD', PT: 'EUR', MX: 'MXN', AR: 'ARS', AU: 'AUD', IN: 'INR', IE: 'EUR', US: 'USD', GB: 'GBP' };
+const SAMPLE_DATE = new Date(Date.UTC(2025, 10, 22, 13, 45, 30));
+
+function canonicalTag(tag) {
+  try {
+    const [canonical] = Intl.getCanonicalLocales(tag);
+    // Intl accepts tags it has no data for; make sure it can format with this one
+    new Intl.NumberFormat(canonical);
+    return canonical;
+  } catch (e) {
+    throw httpError('VALIDATION_FAILED', `"${tag}" is not a valid locale`, [
+      { field: 'locale', message: `locale must be a BCP 47 tag such as ${SUPPORTED_LOCALES.join(', ')}` }
+    ]);
+  }
+}
+
+function closestData(tag) {
+  if (LOCALES[tag]) return LOCALES[tag];
+  const language = tag.split('-')[0];
+  const sameLanguage = SUPPORTED_LOCALES.find(t => t.split('-')[0] === language);
+  return LOCALES[sameLanguage || 'en-US'];
+}
+
+// "DD.MM.YYYY" for de-DE, "YYYY/MM/DD" for ja-JP, ... in the tokens columns.js understands
+function datePattern(tag) {
+  const parts = new Intl.DateTimeFormat(tag, { year: 'numeric', month: '2-digit', day: '2-digit', timeZone: 'UTC' }).formatToParts(SAMPLE_DATE);
+  return parts.map(p => ({ year: 'YYYY', month: 'MM', day: 'DD' }[p.type] || p.value)).join('');
+}
+
+function separators(tag) {
+  const parts = new Intl.NumberFormat(tag).formatToParts(12345.6);
+  return {
+    decimal: (parts.find(p => p.type === 'decimal') || { value: '.' }).value,
+    group: (parts.find(p => p.type === 'group') || { value: ',' }).value
+  };
+}
+
+// Returns the locale helper used by the prompts, values.js and columns.js, or
+// null when no locale was asked for (the original US-English behaviour).
+function resolveLocale(tag) {
+  if (tag === undefined || tag === null || tag === '') return null;
+  const canonical = canonicalTag(String(tag));
+  const data = closestData(canonical);
+  const region = canonical.split('-')[1];
+  const languageName = new Intl.DisplayNames(['en'], { type: 'language' }).of(canonical.split('-')[0]);
+  const regionName = region && /^[A-Z]{2}$/.test(region) ? new Intl.DisplayNames(['en'], { type: 'region' }).of(region) : null;
+  const sep = separators(canonical);
+  const dateFormat = datePattern(canonical);
+  const currency = (!LOCALES[canonical] && REGION_CURRENCIES[region]) || data.currency;
+  const toCanonicalHeader = new Map(Object.entries(data.headers).map(([en, local]) => [local.toLowerCase(), en]));
+
+  return {
+    tag: canonical,
+    language: languageName,
+    region: regionName,
+    currency,
+    dateFormat,
+    decimalSeparator: sep.decimal,
+    groupSeparator: sep.group,
+    data,
+
+    formatNumber(n, decimals = 0) {
+      return new Intl.NumberFormat(canonical, { minimumFractionDigits: decimals, maximumFractionDigits: decimals, useGrouping: false }).format(n);
+    },
+    formatCurrency(n, code = currency) {
+      return new Intl.NumberFormat(canonical, { style: 'currency', currency: code }).format(n);
+    },
+    formatDate(d) {
+      return new Intl.DateTimeFormat(canonical, { year: 'numeric', month: '2-digit', day: '2-digit', timeZone: 'UTC' }).format(d);
+    },
+    formatDateTime(d) {
+      return new Intl.DateTimeFormat(canonical, {
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false, timeZone: 'UTC'
+      }).format(d);
+    },
+
+    // English fallback header -> local label, and back (for matching generator rules)
+    label: (header) => data.headers[header] || header,
+    columnLabel: (n) => data.column.replace('{n}', n),
+    canonicalHeader: (header) => toCanonicalHeader.get(String(header || '').toLowerCase()) || header
+  };
+}
+
+// Prompt line telling the model which language and formats to use
+function localeInstruction(locale) {
+  if (!locale) return '';
+  const where = locale.region ? `${locale.language} as used in ${locale.region}` : locale.language;
+  return `Write every header and value in ${where} (locale ${locale.tag}). ` +
+    `Use names, cities and phone numbers typical for that locale, dates as ${locale.dateFormat}, ` +
+    `"${locale.decimalSeparator}" as the decimal separator and ${locale.currency} for money.`;
+}
+
+module.exports = { SUPPORTED_LOCALES, resolveLocale, localeInstruction };
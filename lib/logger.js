@@ -0,0 +1,120 @@
+// Structured JSON logger. Every line is one JSON object:
+//   {"time":"...","level":"info","msg":"...","requestId":"...", ...fields}
+// The request ID is picked up automatically inside withContext(), so library
+// code can log without having the request passed in.
+//
+// Secrets never reach the output: fields named like keys/tokens/passwords are
+// replaced, bearer tokens and key=value credentials in strings are masked, and
+// the configured secret values (API keys from the environment) are blanked
+// wherever they appear.
+//
+// Prompts and model output are only logged with LOG_PROMPTS=true, at debug
+// level and cut to LOG_PROMPT_MAX_CHARS.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTED = '[REDACTED]';
+const SECRET_KEY_RE = /^(authorization|cookie|password|secret|api_?key|apikey|api_secret|access_?token|refresh_?token|token)$/i;
+const SECRET_PATTERNS = [
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9\-._~+/]+=*/gi, `$1 ${REDACTED}`],
+  [/\b(api_?key|apikey|api_secret|access_token|refresh_token|token|password)=([^&\s"']+)/gi, `$1=${REDACTED}`]
+];
+const MAX_DEPTH = 6;
+
+const context = new AsyncLocalStorage();
+
+function createLogger({
+  level = 'info',
+  secrets = [],
+  logPrompts = false,
+  promptMaxChars = 2000,
+  write = (line) => process.stdout.write(line + '\n'),
+  bindings = {}
+} = {}) {
+  const threshold = LEVELS[level] !== undefined ? LEVELS[level] : LEVELS.info;
+  // Longest first so a secret that contains another is blanked whole
+  const secretValues = secrets.filter(s => typeof s === 'string' && s.length >= 6).sort((a, b) => b.length - a.length);
+
+  function redactString(s) {
+    let out = s;
+    for (const secret of secretValues) out = out.split(secret).join(REDACTED);
+    for (const [re, replacement] of SECRET_PATTERNS) out = out.replace(re, replacement);
+    return out;
+  }
+
+  function redact(value, depth = 0) {
+    if (typeof value === 'string') return redactString(value);
+    if (value instanceof Error) {
+      const err = { name: value.name, message: redactString(String(value.message)) };
+      if (value.code) err.code = value.code;
+      if (value.status) err.status = value.status;
+      // Coded errors are expected failures; only unexpected ones need a stack
+      if (!value.code && value.stack) err.stack = redactString(value.stack);
+      return err;
+    }
+    if (!value || typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH) return '[Object]';
+    if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = SECRET_KEY_RE.test(k) && v !== undefined && v !== null && typeof v !== 'boolean' ? REDACTED : redact(v, depth + 1);
+    }
+    return out;
+  }
+
+  function emit(lvl, msg, fields) {
+    if (LEVELS[lvl] < threshold) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level: lvl,
+      msg: redactString(String(msg)),
+      ...bindings,
+      ...context.getStore(),
+      ...(fields ? redact(fields) : {})
+    };
+    try {
+      write(JSON.stringify(entry));
+    } catch (e) {
+      write(JSON.stringify({ time: entry.time, level: lvl, msg: entry.msg, logError: e.message }));
+    }
+  }
+
+  const clip = (text) => {
+    const s = typeof text === 'string' ? text : JSON.stringify(text);
+    return s && s.length > promptMaxChars ? `${s.slice(0, promptMaxChars)}... [${s.length - promptMaxChars} more chars]` : s;
+  };
+
+  return {
+    level,
+    debug: (msg, fields) => emit('debug', msg, fields),
+    info: (msg, fields) => emit('info', msg, fields),
+    warn: (msg, fields) => emit('warn', msg, fields),
+    error: (msg, fields) => emit('error', msg, fields),
+
+    // Prompt or model output; dropped unless prompt logging is enabled
+    content(msg, text, fields) {
+      if (!logPrompts) return;
+      emit('debug', msg, { ...fields, content: clip(text) });
+    },
+
+    // Same settings with extra fields on every line
+    child(extra) {
+      return createLogger({ level, secrets, logPrompts, promptMaxChars, write, bindings: { ...bindings, ...extra } });
+    },
+
+    redact
+  };
+}
+
+// Run `fn` with `fields` (e.g. { requestId }) added to every line logged inside it
+const withContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+const env = process.env;
+const logger = createLogger({
+  level: (env.LOG_LEVEL || 'info').toLowerCase(),
+  secrets: [env.WATSON_API_KEY, env.OPENAI_API_KEY, env.GA4_API_SECRET],
+  logPrompts: env.LOG_PROMPTS === 'true' || env.LOG_PROMPTS === '1',
+  promptMaxChars: Number(env.LOG_PROMPT_MAX_CHARS) || 2000
+});
+
+module.exports = { LEVELS, createLogger, withContext, logger };
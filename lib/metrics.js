@@ -0,0 +1,110 @@
+// In-process metrics, rendered for GET /metrics in the Prometheus text format.
+// Counters and histograms carry labels; keep label values to a small fixed set
+// (route patterns, provider names, status codes) so series do not explode.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labelText(names, values, extra) {
+  const pairs = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  // Series are keyed by their label values in `labelNames` order
+  const keyOf = (labelNames, labels = {}) => labelNames.map(n => (labels[n] === undefined ? '' : String(labels[n])));
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    // An unlabelled counter is reported as 0 until it first moves
+    if (!labelNames.length) series.set('', { values: [], value: 0 });
+    const metric = {
+      inc(labels, by = 1) {
+        const values = keyOf(labelNames, labels);
+        const key = values.join('\u0000');
+        const entry = series.get(key) || { values, value: 0 };
+        entry.value += by;
+        series.set(key, entry);
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+        for (const { values, value } of series.values()) lines.push(`${name}${labelText(labelNames, values)} ${value}`);
+        return lines;
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    const metric = {
+      observe(labels, seconds) {
+        const values = keyOf(labelNames, labels);
+        const key = values.join('\u0000');
+        const entry = series.get(key) || { values, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((le, i) => { if (seconds <= le) entry.counts[i]++; });
+        entry.sum += seconds;
+        entry.count++;
+        series.set(key, entry);
+      },
+      // Observe the seconds since `startedAt` (a Date.now() value)
+      since(labels, startedAt) {
+        metric.observe(labels, (Date.now() - startedAt) / 1000);
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        for (const { values, counts, sum, count } of series.values()) {
+          buckets.forEach((le, i) => lines.push(`${name}_bucket${labelText(labelNames, values, `le="${le}"`)} ${counts[i]}`));
+          lines.push(`${name}_bucket${labelText(labelNames, values, 'le="+Inf"')} ${count}`);
+          lines.push(`${name}_sum${labelText(labelNames, values)} ${sum}`);
+          lines.push(`${name}_count${labelText(labelNames, values)} ${count}`);
+        }
+        return lines;
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function gauge(name, help, read) {
+    metrics.push({
+      render: () => [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${read()}`]
+    });
+  }
+
+  return {
+    counter,
+    histogram,
+    gauge,
+    render: () => metrics.map(m => m.render().join('\n')).join('\n') + '\n'
+  };
+}
+
+const registry = createRegistry();
+const startedAt = Date.now();
+
+registry.gauge('process_uptime_seconds', 'Seconds since the server started', () => Math.round((Date.now() - startedAt) / 1000));
+registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+
+const metrics = {
+  registry,
+  httpRequests: registry.counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']),
+  httpDuration: registry.histogram('http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route']),
+  upstreamRequests: registry.counter('upstream_requests_total', 'Model provider calls by provider and HTTP status (or timeout/error)', ['provider', 'status']),
+  upstreamDuration: registry.histogram('upstream_request_duration_seconds', 'Model provider call latency', ['provider']),
+  tableParseFailures: registry.counter('table_parse_failures_total', 'Model answers for /generateTable that contained no usable table'),
+  tableRepairAttempts: registry.counter('table_repair_attempts_total', 'Times a /generateTable batch was sent back to the model with its errors'),
+  tableFallbackTables: registry.counter('table_fallback_tables_total', 'Tables that needed fallback rows'),
+  tableFallbackRows: registry.counter('table_fallback_rows_total', 'Rows filled by the fallback generator'),
+  tableSyntheticCells: registry.counter('table_synthetic_cells_total', 'Cells synthesized because the model left them out or they failed the schema'),
+  promptGenerations: registry.counter('prompt_generations_total', 'Successful generation requests by prompt template and whether every model answer parsed', ['prompt', 'parsed']),
+  rateLimited: registry.counter('rate_limited_requests_total', 'Requests rejected by the rate limiter or the daily quota', ['route', 'limit']),
+  analyticsForwards: registry.counter('analytics_forwards_total', 'Analytics events forwarded to GA4 by result', ['result'])
+};
+
+module.exports = { DEFAULT_BUCKETS, createRegistry, metrics };
@@ -0,0 +1,151 @@
+// Prompt template registry. Templates are .json files (by default in prompts/)
+// so prompts and decoding parameters can be tuned without touching the code:
+//   kind         'list' (/generate) or 'table' (/generateTable and the table edits)
+//   version      unique per kind, chosen with `promptVersion` in a request
+//   description  shown by GET /prompts
+//   default      the version used when nothing else applies (else the last one)
+//   weight       A/B share; when any version of a kind has a weight, requests
+//                without `promptVersion` get one of those versions, stable per client
+//   system, user the messages; a string or an array of lines. `{{name}}` is
+//                replaced with a variable from TEMPLATE_VARIABLES
+//   repair       (table) the follow-up message listing problems in `{{issues}}`
+//   parameters   decoding parameters; max_new_tokens is an upper bound, the
+//                server still sizes each call to the request
+const fs = require('fs');
+const path = require('path');
+const { toSeed } = require('./random');
+const { httpError } = require('./errors');
+const { logger: log } = require('./logger');
+
+const DEFAULT_PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+
+// Variables each message may use; all are filled in by lib/list.js and lib/table.js
+const TEMPLATE_VARIABLES = {
+  list: {
+    system: [],
+    user: ['prompt', 'count', 'more', 'exclusions', 'words', 'length', 'language']
+  },
+  table: {
+    system: [],
+    user: ['prompt', 'rows', 'cols', 'localeRule', 'fixedHeaders', 'continuation', 'context'],
+    repair: ['issues']
+  }
+};
+
+const PARAMETERS = ['decoding_method', 'temperature', 'top_p', 'top_k', 'repetition_penalty', 'max_new_tokens'];
+const VERSION_RE = /^[A-Za-z0-9._-]{1,40}$/;
+const PLACEHOLDER_RE = /\{\{(\w+)\}\}/g;
+
+const text = (v) => (Array.isArray(v) ? v.join('\n') : v);
+
+function validateTemplate(raw, file) {
+  const fail = (msg) => { throw new Error(`Prompt template ${file}: ${msg}`); };
+  if (!raw || typeof raw !== 'object') fail('must be an object');
+  const parts = TEMPLATE_VARIABLES[raw.kind];
+  if (!parts) fail(`"kind" must be one of: ${Object.keys(TEMPLATE_VARIABLES).join(', ')}`);
+  if (typeof raw.version !== 'string' || !VERSION_RE.test(raw.version)) fail('"version" must be 1-40 letters, digits, dots, dashes or underscores');
+  if (raw.weight !== undefined && !(Number.isFinite(raw.weight) && raw.weight >= 0)) fail('"weight" must be a number >= 0');
+
+  const messages = {};
+  for (const [part, allowed] of Object.entries(parts)) {
+    const value = text(raw[part]);
+    if (typeof value !== 'string' || !value.trim()) fail(`"${part}" must be a non-empty string or array of lines`);
+    for (const [, name] of value.matchAll(PLACEHOLDER_RE)) {
+      if (!allowed.includes(name)) fail(`"${part}" uses unknown variable {{${name}}}`);
+    }
+    messages[part] = value;
+  }
+
+  const parameters = raw.parameters || {};
+  for (const [key, value] of Object.entries(parameters)) {
+    if (!PARAMETERS.includes(key)) fail(`"parameters.${key}" is not a supported decoding parameter`);
+    if (key === 'decoding_method' ? typeof value !== 'string' : !Number.isFinite(value)) fail(`"parameters.${key}" has the wrong type`);
+  }
+
+  return {
+    kind: raw.kind,
+    version: raw.version,
+    id: `${raw.kind}@${raw.version}`,
+    description: raw.description || '',
+    isDefault: raw.default === true,
+    weight: raw.weight || 0,
+    messages,
+    parameters,
+
+    // The message `part` with every {{variable}} filled in (missing ones are empty)
+    render(part, vars = {}) {
+      return messages[part].replace(PLACEHOLDER_RE, (_, name) => (vars[name] === undefined ? '' : String(vars[name])));
+    }
+  };
+}
+
+// Load every template in `dirs`; a later directory replaces a kind@version from
+// an earlier one. Broken files are logged and skipped, like domain packs.
+function loadPromptTemplates(dirs) {
+  const templates = new Map();
+  for (const dir of dirs) {
+    let files;
+    try {
+      files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+    } catch (e) {
+      log.warn('Cannot read prompt template directory', { dir, error: e.message });
+      continue;
+    }
+    for (const f of files) {
+      try {
+        const template = validateTemplate(JSON.parse(fs.readFileSync(path.resolve(dir, f), 'utf8')), f);
+        templates.set(template.id, template);
+      } catch (e) {
+        log.warn('Skipping prompt template', { file: f, error: e.message });
+      }
+    }
+  }
+
+  const ofKind = (kind) => [...templates.values()].filter(t => t.kind === kind);
+  const defaultOf = (kind) => {
+    const all = ofKind(kind);
+    return all.find(t => t.isDefault) || all[all.length - 1] || null;
+  };
+
+  return {
+    list() {
+      return [...templates.values()].map(({ kind, version, description, weight, parameters }) =>
+        ({ kind, version, description, default: defaultOf(kind).version === version, weight, parameters }));
+    },
+
+    // `version` ("v1", or the id "table@v1" responses report) when asked for
+    // (VALIDATION_FAILED if unknown), else a weighted pick that stays the same
+    // for `client`, else the default
+    choose(kind, { version, client } = {}) {
+      if (version) {
+        const template = templates.get(version.startsWith(`${kind}@`) ? version : `${kind}@${version}`);
+        if (!template) {
+          const message = `Unknown ${kind} prompt version "${version}". Available: ${ofKind(kind).map(t => t.version).join(', ')}`;
+          throw httpError('VALIDATION_FAILED', message, [{ field: 'promptVersion', message }]);
+        }
+        return template;
+      }
+      const weighted = ofKind(kind).filter(t => t.weight > 0);
+      if (weighted.length) {
+        const total = weighted.reduce((sum, t) => sum + t.weight, 0);
+        const point = client ? (toSeed(`${client}:${kind}`) / 0x100000000) * total : Math.random() * total;
+        let acc = 0;
+        return weighted.find(t => (acc += t.weight) > point) || weighted[weighted.length - 1];
+      }
+      const template = defaultOf(kind);
+      if (!template) throw httpError('INTERNAL', `No ${kind} prompt template is loaded`);
+      return template;
+    },
+
+    has: (kind) => ofKind(kind).length > 0
+  };
+}
+
+// The templates shipped in prompts/, for callers that do not pass one
+let builtin = null;
+function builtinTemplate(kind) {
+  if (!builtin) builtin = loadPromptTemplates([DEFAULT_PROMPTS_DIR]);
+  return builtin.choose(kind);
+}
+
+module.exports = { DEFAULT_PROMPTS_DIR, TEMPLATE_VARIABLES, loadPromptTemplates, builtinTemplate };
@@ -0,0 +1,148 @@
+// LLM provider registry. Every adapter exposes the same interface:
+//   { name, defaultModel, chat({ model, messages, parameters, endpoint, accessToken, signal, task }) -> Promise<string> }
+// `parameters` use the watsonx names (temperature, top_p, top_k, repetition_penalty,
+// max_new_tokens); each adapter maps them to its own API. `signal` is an AbortSignal
+// that cancels the upstream request. `task` describes what is being generated and
+// is only used by the mock provider. Adapters that take a client-supplied
+// endpoint also expose checkEndpoint(endpoint), which throws unless it is allowed.
+const { createWatsonxProvider } = require('./watsonx');
+const { createOpenAIProvider } = require('./openai');
+const { createOllamaProvider } = require('./ollama');
+const { createMockProvider } = require('./mock');
+const { httpError } = require('../errors');
+const { metrics } = require('../metrics');
+
+const PROVIDER_NAMES = ['watsonx', 'openai', 'ollama', 'mock'];
+
+const splitList = (value) => String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// LLM_ALLOWED_MODELS="watsonx:ibm/granite-3-3-8b-instruct,ollama:*"
+function parseAllowlist(value) {
+  return splitList(value)
+    .map(entry => {
+      const i = entry.indexOf(':');
+      return i === -1 ? { provider: entry, model: '*' } : { provider: entry.slice(0, i), model: entry.slice(i + 1) || '*' };
+    });
+}
+
+// Abort a chat call that takes longer than `timeoutMs` and report it as
+// UPSTREAM_TIMEOUT. The caller's own signal still cancels it as before.
+function withTimeout(adapter, timeoutMs) {
+  if (!timeoutMs) return adapter;
+  return {
+    ...adapter,
+    async chat(args) {
+      const controller = new AbortController();
+      const cancel = () => controller.abort();
+      let timedOut = false;
+      const timer = setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs);
+      if (args.signal) {
+        if (args.signal.aborted) controller.abort();
+        else args.signal.addEventListener('abort', cancel, { once: true });
+      }
+      try {
+        return await adapter.chat({ ...args, signal: controller.signal });
+      } catch (err) {
+        if (timedOut) throw httpError('UPSTREAM_TIMEOUT', `${adapter.name} did not respond within ${timeoutMs} ms`);
+        throw err;
+      } finally {
+        clearTimeout(timer);
+        if (args.signal) args.signal.removeEventListener('abort', cancel);
+      }
+    }
+  };
+}
+
+// Count every chat call by provider and upstream status, and time it
+function instrument(adapter) {
+  return {
+    ...adapter,
+    async chat(args) {
+      const startedAt = Date.now();
+      let status = '200';
+      try {
+        return await adapter.chat(args);
+      } catch (err) {
+        status = err.upstreamStatus ? String(err.upstreamStatus)
+          : err.code === 'UPSTREAM_TIMEOUT' ? 'timeout'
+          : args.signal && args.signal.aborted ? 'cancelled'
+          : 'error';
+        throw err;
+      } finally {
+        metrics.upstreamRequests.inc({ provider: adapter.name, status });
+        metrics.upstreamDuration.since({ provider: adapter.name }, startedAt);
+      }
+    }
+  };
+}
+
+// `timeoutMs` bounds every model call (LLM_TIMEOUT_MS; 0 disables). `watsonxFetch`
+// replaces node-fetch for watsonx calls (record/replay, lib/fixtures.js).
+function createProviderRegistry({ env = process.env, tokenManager, projectId, timeoutMs = 0, watsonxFetch }) {
+  const defaultName = (env.LLM_PROVIDER || 'watsonx').toLowerCase();
+  if (!PROVIDER_NAMES.includes(defaultName)) {
+    throw new Error(`LLM_PROVIDER must be one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+  const allowlist = parseAllowlist(env.LLM_ALLOWED_MODELS);
+
+  // LLM_MODEL applies to the default provider; the others use their own settings
+  const modelFor = (name, fallback) => (name === defaultName && env.LLM_MODEL) || fallback;
+
+  const factories = {
+    watsonx: () => createWatsonxProvider({
+      tokenManager,
+      projectId,
+      endpoint: env.WATSONX_URL,
+      // Extra endpoints besides the watsonx.ai regions, e.g. a local stand-in
+      allowedEndpoints: splitList(env.WATSONX_ALLOWED_ENDPOINTS),
+      model: modelFor('watsonx', env.MODEL_ID),
+      fetch: watsonxFetch
+    }),
+    openai: () => createOpenAIProvider({
+      baseUrl: env.OPENAI_BASE_URL,
+      apiKey: env.OPENAI_API_KEY,
+      model: modelFor('openai', env.OPENAI_MODEL)
+    }),
+    ollama: () => createOllamaProvider({
+      baseUrl: env.OLLAMA_URL,
+      model: modelFor('ollama', env.OLLAMA_MODEL)
+    }),
+    mock: () => createMockProvider({
+      response: env.MOCK_LLM_RESPONSE,
+      model: modelFor('mock', undefined)
+    })
+  };
+
+  // Adapters are created lazily so unused providers need no configuration
+  const instances = {};
+  const get = (name) => instances[name] || (instances[name] = instrument(withTimeout(factories[name](), timeoutMs)));
+
+  const isAllowed = (name, model) =>
+    allowlist.some(a => a.provider === name && (a.model === '*' || a.model === model));
+
+  return {
+    defaultProvider: defaultName,
+
+    // Pick the adapter and model for a request. Anything other than the
+    // configured default has to be on the allowlist. A client-supplied
+    // `endpoint` is checked here so bad requests fail before any work starts.
+    resolve({ provider, model, endpoint } = {}) {
+      const name = String(provider || defaultName).toLowerCase();
+      if (!PROVIDER_NAMES.includes(name)) {
+        throw httpError('VALIDATION_FAILED', `Unknown provider "${provider}"`, [
+          { field: 'provider', message: `provider must be one of: ${PROVIDER_NAMES.join(', ')}` }
+        ]);
+      }
+      const adapter = get(name);
+      const modelId = model || adapter.defaultModel;
+      const isDefault = name === defaultName && modelId === adapter.defaultModel;
+      if (!isDefault && !isAllowed(name, modelId)) {
+        throw httpError('MODEL_NOT_ALLOWED', `Provider/model "${name}:${modelId}" is not allowed on this server`);
+      }
+      if (adapter.checkEndpoint) adapter.checkEndpoint(endpoint);
+      return { provider: adapter, model: modelId };
+    }
+  };
+}
+
+module.exports = { PROVIDER_NAMES, createProviderRegistry };
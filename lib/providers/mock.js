@@ -0,0 +1,33 @@
+// Deterministic provider for local development and tests: no network, and the
+// same request always gets the same answer. MOCK_LLM_RESPONSE replaces the
+// generated text entirely, which is handy for exercising the parsing code.
+function createMockProvider({ response, model = 'mock' } = {}) {
+  return {
+    name: 'mock',
+    defaultModel: model,
+
+    async chat({ task = {} }) {
+      if (response !== undefined) return response;
+
+      if (task.type === 'list') {
+        const label = String(task.prompt || 'Item').trim() || 'Item';
+        const start = task.startIndex || 0;
+        return JSON.stringify(Array.from({ length: task.count || 0 }, (_, i) => `${label} ${start + i + 1}`));
+      }
+
+      if (task.type === 'table') {
+        const headers = task.headers && task.headers.length
+          ? task.headers
+          : Array.from({ length: task.cols || 0 }, (_, c) => `Column ${c + 1}`);
+        const start = task.startRow || 0;
+        const rows = Array.from({ length: task.rows || 0 }, (_, r) =>
+          headers.map((_, c) => `Value ${start + r + 1}-${c + 1}`));
+        return JSON.stringify({ headers, rows });
+      }
+
+      return '';
+    }
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,45 @@
+// Adapter for a local Ollama server (/api/chat)
+const fetch = require('node-fetch');
+const { httpError, upstreamError } = require('../errors');
+
+const DEFAULT_MODEL = 'granite3.3:8b';
+
+function createOllamaProvider({ baseUrl = 'http://localhost:11434', model = DEFAULT_MODEL }) {
+  return {
+    name: 'ollama',
+    defaultModel: model,
+
+    async chat({ model: modelId = model, messages, parameters = {}, signal }) {
+      const genRes = await fetch(`${baseUrl.replace(/\/$/, '')}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model: modelId,
+          messages,
+          stream: false,
+          options: {
+            temperature: parameters.temperature,
+            top_p: parameters.top_p,
+            top_k: parameters.top_k,
+            repeat_penalty: parameters.repetition_penalty,
+            num_predict: parameters.max_new_tokens
+          }
+        }),
+        signal
+      });
+
+      if (!genRes.ok) {
+        const errorText = await genRes.text();
+        throw upstreamError('ollama', genRes.status, errorText);
+      }
+
+      const genData = await genRes.json();
+      if (genData.message && typeof genData.message.content === 'string') {
+        return genData.message.content;
+      }
+      throw httpError('UPSTREAM_ERROR', 'Unexpected response structure from Ollama');
+    }
+  };
+}
+
+module.exports = { createOllamaProvider, DEFAULT_MODEL };
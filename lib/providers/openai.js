@@ -0,0 +1,44 @@
+// Adapter for any OpenAI-compatible /chat/completions endpoint
+// (OpenAI, Azure OpenAI behind a gateway, vLLM, LM Studio, ...)
+const fetch = require('node-fetch');
+const { httpError, upstreamError } = require('../errors');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+function createOpenAIProvider({ baseUrl = 'https://api.openai.com/v1', apiKey, model = DEFAULT_MODEL }) {
+  return {
+    name: 'openai',
+    defaultModel: model,
+
+    async chat({ model: modelId = model, messages, parameters = {}, signal }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+      const genRes = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: modelId,
+          messages,
+          temperature: parameters.temperature,
+          top_p: parameters.top_p,
+          max_tokens: parameters.max_new_tokens
+        }),
+        signal
+      });
+
+      if (!genRes.ok) {
+        const errorText = await genRes.text();
+        throw upstreamError('openai', genRes.status, errorText);
+      }
+
+      const genData = await genRes.json();
+      if (genData.choices && genData.choices[0] && genData.choices[0].message) {
+        return genData.choices[0].message.content || '';
+      }
+      throw httpError('UPSTREAM_ERROR', 'Unexpected response structure from OpenAI-compatible endpoint');
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider, DEFAULT_MODEL };
@@ -0,0 +1,106 @@
+// watsonx.ai chat adapter (/ml/v1/text/chat)
+const fetch = require('node-fetch');
+const { httpError, upstreamError } = require('../errors');
+const { logger: log } = require('../logger');
+
+const DEFAULT_MODEL = 'ibm/granite-3-3-8b-instruct';
+
+// watsonx.ai regions (public and private endpoints). The endpoint comes from the
+// client and is called with the server's token, so nothing else is accepted.
+const REGIONS = ['us-south', 'eu-de', 'eu-gb', 'jp-tok', 'au-syd', 'ca-tor'];
+const REGIONAL_ENDPOINTS = REGIONS.flatMap(r => [`https://${r}.ml.cloud.ibm.com`, `https://private.${r}.ml.cloud.ibm.com`]);
+
+const originOf = (url) => {
+  try {
+    const parsed = new URL(url);
+    return parsed.username || parsed.password ? null : parsed.origin;
+  } catch (e) {
+    return null;
+  }
+};
+
+// `allowedEndpoints` are added to the regional endpoints (e.g. a local stand-in);
+// the configured default endpoint is always allowed. `fetch` replaces node-fetch
+// for record/replay (lib/fixtures.js).
+function createWatsonxProvider({ tokenManager, projectId, endpoint: defaultEndpoint, model = DEFAULT_MODEL, allowedEndpoints = [], fetch: fetchImpl = fetch }) {
+  const allowed = new Set([...REGIONAL_ENDPOINTS, ...allowedEndpoints, defaultEndpoint].filter(Boolean).map(originOf).filter(Boolean));
+
+  // Resolve the endpoint for a request to an allowed origin; any path is dropped
+  function checkEndpoint(endpoint) {
+    const base = endpoint || defaultEndpoint;
+    if (!base) {
+      throw httpError('VALIDATION_FAILED', 'endpoint is required for the watsonx provider (or set WATSONX_URL)', [
+        { field: 'endpoint', message: 'endpoint is required' }
+      ]);
+    }
+    const origin = originOf(base);
+    if (!origin || !allowed.has(origin)) {
+      throw httpError('ENDPOINT_NOT_ALLOWED', `endpoint "${base}" is not an allowed watsonx.ai endpoint`, [
+        { field: 'endpoint', message: `must be one of: ${[...allowed].join(', ')}` }
+      ]);
+    }
+    return origin;
+  }
+
+  // POST a chat body to watsonx. Uses the caller's accessToken when one is sent,
+  // otherwise the server-held IAM token. A 401 is retried once with a fresh server token.
+  async function postChat(genUrl, wxBody, accessToken, signal) {
+    const send = (token) => fetchImpl(genUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(wxBody),
+      signal
+    });
+
+    let token = accessToken || await tokenManager.getToken();
+    let genRes = await send(token);
+
+    if (genRes.status === 401 && tokenManager.configured) {
+      log.info('watsonx rejected the access token, retrying with a refreshed server token');
+      tokenManager.invalidate(token);
+      token = await tokenManager.getToken({ forceRefresh: !accessToken });
+      genRes = await send(token);
+    }
+
+    if (!genRes.ok) {
+      const errorText = await genRes.text();
+      throw upstreamError('watsonx', genRes.status, errorText);
+    }
+
+    return genRes.json();
+  }
+
+  return {
+    name: 'watsonx',
+    defaultModel: model,
+    checkEndpoint,
+
+    async chat({ model: modelId = model, messages, parameters, endpoint, accessToken, signal }) {
+      const genUrl = `${checkEndpoint(endpoint)}/ml/v1/text/chat?version=2023-05-29`;
+      const genData = await postChat(genUrl, {
+        messages,
+        parameters,
+        model_id: modelId,
+        project_id: projectId
+      }, accessToken, signal);
+
+      if (genData.choices && genData.choices[0] && genData.choices[0].message) {
+        return genData.choices[0].message.content || '';
+      }
+      if (Array.isArray(genData.results) && genData.results[0]?.generated_text) {
+        return genData.results[0].generated_text;
+      }
+      if (typeof genData.output === 'string') {
+        return genData.output;
+      }
+      log.content('Unexpected watsonx response', genData);
+      log.warn('Unexpected response structure from watsonx.ai', { keys: Object.keys(genData || {}) });
+      throw httpError('UPSTREAM_ERROR', 'Unexpected response structure from watsonx.ai');
+    }
+  };
+}
+
+module.exports = { createWatsonxProvider, DEFAULT_MODEL, REGIONAL_ENDPOINTS };
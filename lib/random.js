@@ -0,0 +1,31 @@
+// Seedable pseudo-random numbers (mulberry32) so fallback data can be reproduced
+
+// Strings are hashed to a 32-bit seed (FNV-1a); numbers are used as-is
+function toSeed(seed) {
+  if (typeof seed === 'number' && isFinite(seed)) return seed >>> 0;
+  let h = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// A fresh seed for callers that did not pass one, so the response can report it
+function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+// Returns a function that yields floats in [0, 1), like Math.random
+function createRandom(seed) {
+  let a = toSeed(seed);
+  return function random() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = { toSeed, randomSeed, createRandom };
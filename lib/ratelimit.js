@@ -0,0 +1,275 @@
+// Per-client rate limiting and daily usage quotas for the model-backed routes.
+//
+// A client is the plugin's anonId when it sends one, otherwise its IP. Each
+// client has a token bucket (a burst of `capacity` requests, refilled at
+// `refillPerMin`) and a daily allowance of generated rows and cells that resets
+// at midnight UTC. Limits of 0 are disabled. Because anonIds are made up by the
+// client, every IP also has its own, larger bucket and allowance (`ipLimits`),
+// so a fresh anonId per request does not get around them.
+//
+// A request reserves what it may generate before the model is called; once it
+// is done the reservation is settled to what it really generated, including a
+// request that failed or was cancelled part way. Concurrent requests therefore
+// cannot overshoot the quota.
+//
+// State lives in a store so it can move out of process later (e.g. Redis).
+// A store implements, all returning promises:
+//   consume(key, { capacity, refillPerMs, now }) -> { allowed, tokens, retryAfterMs }
+//   peek(key, { capacity, refillPerMs, now })    -> tokens available
+//   refund(key, { capacity, refillPerMs, now })  -> gives back a consumed token
+//   addUsage(key, amount, expiresAt)             -> new total (amount may be negative)
+//   getUsage(key)                                -> total (0 when unknown)
+const { httpError } = require('./errors');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+const DEFAULT_LIMITS = {
+  burst: 10,
+  perMinute: 20,
+  dailyRows: 5000,
+  dailyCells: 50000
+};
+
+// Per IP, shared by every anonId behind it (offices and NATs included)
+const DEFAULT_IP_LIMITS = {
+  burst: 30,
+  perMinute: 60,
+  dailyRows: 20000,
+  dailyCells: 200000
+};
+
+function createMemoryStore() {
+  const buckets = new Map();
+  const usage = new Map();
+
+  const refill = (key, { capacity, refillPerMs, now }) => {
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now, capacity, refillPerMs };
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    bucket.capacity = capacity;
+    bucket.refillPerMs = refillPerMs;
+    return bucket;
+  };
+
+  // Drop full buckets and expired counters so idle clients do not pile up
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, b] of buckets) {
+      if (b.tokens + (now - b.updatedAt) * b.refillPerMs >= b.capacity) buckets.delete(key);
+    }
+    for (const [key, u] of usage) {
+      if (u.expiresAt <= now) usage.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  if (timer.unref) timer.unref();
+
+  return {
+    async consume(key, opts) {
+      const bucket = refill(key, opts);
+      buckets.set(key, bucket);
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return { allowed: true, tokens: bucket.tokens, retryAfterMs: 0 };
+      }
+      return { allowed: false, tokens: bucket.tokens, retryAfterMs: Math.ceil((1 - bucket.tokens) / opts.refillPerMs) };
+    },
+
+    async peek(key, opts) {
+      return buckets.has(key) ? refill(key, opts).tokens : opts.capacity;
+    },
+
+    async refund(key, opts) {
+      if (!buckets.has(key)) return;
+      const bucket = refill(key, opts);
+      bucket.tokens = Math.min(opts.capacity, bucket.tokens + 1);
+    },
+
+    async addUsage(key, amount, expiresAt) {
+      const entry = usage.get(key) || { value: 0, expiresAt };
+      entry.value += amount;
+      usage.set(key, entry);
+      return entry.value;
+    },
+
+    async getUsage(key) {
+      const entry = usage.get(key);
+      return entry && entry.expiresAt > Date.now() ? entry.value : 0;
+    },
+
+    stop() {
+      clearInterval(timer);
+    }
+  };
+}
+
+// The caller's IP. Express derives req.ip from X-Forwarded-For only as far as
+// the app's 'trust proxy' setting allows, so a client cannot choose it.
+function clientIp(req) {
+  return req.ip ||
+    req.connection?.remoteAddress ||
+    req.socket?.remoteAddress ||
+    'unknown';
+}
+
+// The caller's anonId from the body, the X-Anon-Id header or the query string, or undefined
+function anonIdOf(req) {
+  const anonId = req.body?.anonId || req.get('x-anon-id') || req.query?.anonId;
+  return typeof anonId === 'string' && anonId.trim() ? anonId.trim().slice(0, 100) : undefined;
+}
+
+// anonId when there is one, else the IP
+function clientKey(req) {
+  const anonId = anonIdOf(req);
+  return anonId ? `anon:${anonId}` : `ip:${clientIp(req)}`;
+}
+
+const dayOf = (now) => new Date(now).toISOString().slice(0, 10);
+const nextMidnight = (now) => (Math.floor(now / DAY_MS) + 1) * DAY_MS;
+
+function createRateLimiter({ store = createMemoryStore(), limits = DEFAULT_LIMITS, ipLimits = DEFAULT_IP_LIMITS, now = Date.now } = {}) {
+  const bucketOpts = (l, t) => ({ capacity: l.burst, refillPerMs: l.perMinute / 60000, now: t });
+  const usageKey = (key, day, unit) => `usage:${day}:${key}:${unit}`;
+  const remaining = (limit, used) => (limit ? Math.max(0, limit - used) : null);
+
+  // What a request is counted against: the client and the IP it comes from
+  const subjectsOf = (req) => [
+    { key: clientKey(req), limits },
+    { key: `net:${clientIp(req)}`, limits: ipLimits }
+  ];
+
+  async function usageFor(key, t) {
+    const day = dayOf(t);
+    const [rows, cells] = await Promise.all([
+      store.getUsage(usageKey(key, day, 'rows')),
+      store.getUsage(usageKey(key, day, 'cells'))
+    ]);
+    return { day, rows, cells };
+  }
+
+  // Add `amount` to every subject's daily usage of `day` (negative to give it back)
+  async function addUsage(subjects, day, { rows = 0, cells = 0 }, t) {
+    const expiresAt = nextMidnight(t) + DAY_MS;
+    await Promise.all(subjects.flatMap(({ key }) => [
+      rows && store.addUsage(usageKey(key, day, 'rows'), rows, expiresAt),
+      cells && store.addUsage(usageKey(key, day, 'cells'), cells, expiresAt)
+    ]));
+  }
+
+  // Reserve `amount` for one subject. The new totals tell whether it fit, so two
+  // requests can never both take the last of the allowance. When it does not
+  // fit nothing stays reserved and the result names the unit that ran out.
+  async function reserve({ key, limits: l }, day, amount, t) {
+    const expiresAt = nextMidnight(t) + DAY_MS;
+    const added = [];
+    for (const unit of ['rows', 'cells']) {
+      if (!amount[unit]) continue;
+      const total = await store.addUsage(usageKey(key, day, unit), amount[unit], expiresAt);
+      added.push(unit);
+      const limit = unit === 'rows' ? l.dailyRows : l.dailyCells;
+      if (limit && total > limit) {
+        await Promise.all(added.map(u => store.addUsage(usageKey(key, day, u), -amount[u], expiresAt)));
+        return { unit, left: remaining(limit, total - amount[unit]) };
+      }
+    }
+    return null;
+  }
+
+  return {
+    limits,
+    ipLimits,
+
+    // Admit a request that will generate up to `rows` rows / `cells` cells and
+    // reserve that much of the daily quota. Resolves to a reservation for
+    // settle() or release(); throws RATE_LIMITED or QUOTA_EXCEEDED.
+    async check(req, { rows = 0, cells = 0 } = {}) {
+      const subjects = subjectsOf(req);
+      const t = now();
+      const day = dayOf(t);
+      const amount = { rows, cells };
+      const reserved = [];
+
+      const fail = async (err) => {
+        await addUsage(reserved, day, { rows: -rows, cells: -cells }, t);
+        throw err;
+      };
+
+      for (const subject of subjects) {
+        const over = await reserve(subject, day, amount, t);
+        if (over) {
+          const err = httpError('QUOTA_EXCEEDED', `Daily ${over.unit} quota exceeded: ${over.left} ${over.unit} left today, this request needs ${amount[over.unit]}`);
+          err.retryAfterSec = Math.ceil((nextMidnight(t) - t) / 1000);
+          err.limit = over.unit;
+          return fail(err);
+        }
+        reserved.push(subject);
+      }
+
+      // A request one bucket turns away does not count against the others
+      const consumed = [];
+      for (const subject of subjects) {
+        const l = subject.limits;
+        if (!l.burst || !l.perMinute) continue;
+        const result = await store.consume(`bucket:${subject.key}`, bucketOpts(l, t));
+        if (!result.allowed) {
+          await Promise.all(consumed.map(s => store.refund(`bucket:${s.key}`, bucketOpts(s.limits, t))));
+          const err = httpError('RATE_LIMITED', 'Too many requests, slow down');
+          err.retryAfterSec = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+          err.limit = 'rate';
+          return fail(err);
+        }
+        consumed.push(subject);
+      }
+
+      return { subjects: reserved, day, t, amount, done: false };
+    },
+
+    // Replace the reservation with what the request actually generated
+    async settle(reservation, { rows = 0, cells = 0 }) {
+      if (reservation.done) return;
+      reservation.done = true;
+      const { amount } = reservation;
+      await addUsage(reservation.subjects, reservation.day, { rows: rows - amount.rows, cells: cells - amount.cells }, reservation.t);
+    },
+
+    // Give the whole reservation back, e.g. when the model call failed
+    async release(reservation) {
+      if (reservation.done) return;
+      reservation.done = true;
+      const { amount } = reservation;
+      await addUsage(reservation.subjects, reservation.day, { rows: -amount.rows, cells: -amount.cells }, reservation.t);
+    },
+
+    // What GET /quota reports; null limits are disabled. `ip` is the allowance
+    // shared by everyone behind the caller's IP.
+    async status(req) {
+      const [client, ip] = subjectsOf(req);
+      const t = now();
+      const report = async ({ key, limits: l }) => {
+        const used = await usageFor(key, t);
+        const tokens = l.burst && l.perMinute ? await store.peek(`bucket:${key}`, bucketOpts(l, t)) : null;
+        return {
+          day: used.day,
+          rows: { limit: l.dailyRows || null, used: used.rows, remaining: remaining(l.dailyRows, used.rows) },
+          cells: { limit: l.dailyCells || null, used: used.cells, remaining: remaining(l.dailyCells, used.cells) },
+          rate: {
+            burst: l.burst || null,
+            perMinute: l.perMinute || null,
+            available: tokens === null ? null : Math.floor(tokens)
+          }
+        };
+      };
+      const { day, ...own } = await report(client);
+      const { day: _, ...shared } = await report(ip);
+      return {
+        client: client.key.startsWith('anon:') ? 'anonId' : 'ip',
+        day,
+        resetsAt: new Date(nextMidnight(t)).toISOString(),
+        ...own,
+        ip: shared
+      };
+    }
+  };
+}
+
+module.exports = { DEFAULT_LIMITS, DEFAULT_IP_LIMITS, createMemoryStore, clientIp, anonIdOf, clientKey, createRateLimiter };
@@ -0,0 +1,178 @@
+// Request body schemas for the proxy routes (see lib/validate.js). Size limits
+// come from the server configuration so operators can raise or lower them, and
+// `domain` fields are checked against the loaded domain packs when given.
+const { EXPORT_FORMATS } = require('./formats');
+
+const DEFAULT_LIMITS = {
+  maxTableRows: 500,
+  maxTableCols: 20,
+  maxListCount: 100,
+  maxPromptChars: 1000
+};
+
+// Fields every model-backed route accepts
+const modelFields = (limits) => ({
+  prompt: { type: 'string', required: true, maxLength: limits.maxPromptChars },
+  endpoint: { type: 'string', maxLength: 200 },
+  accessToken: { type: 'string', maxLength: 10000 },
+  provider: { type: 'string', maxLength: 50 },
+  model: { type: 'string', maxLength: 200 },
+  // Identifies the plugin install for rate limits and quotas
+  anonId: { type: 'string', maxLength: 100 },
+  // BCP 47 tag, e.g. "de-DE"
+  locale: { type: 'string', maxLength: 35 },
+  // A version from GET /prompts
+  promptVersion: { type: 'string', maxLength: 40 }
+});
+
+// Output format of a table and an optional download name
+const exportFields = {
+  format: { type: 'string', enum: EXPORT_FORMATS },
+  filename: { type: 'string', maxLength: 100 }
+};
+
+// A fallback domain pack by name; any name when there is no pack registry
+const domainField = (domains) => ({
+  type: 'string',
+  maxLength: 100,
+  ...(domains && {
+    check: (name) => (domains.get(name) ? null : `must be one of the domain packs: ${domains.list().map(d => d.name).join(', ')}`)
+  })
+});
+
+// The table sent back by the edit routes, plus what every edit accepts
+const editFields = (limits, domains) => ({
+  ...modelFields(limits),
+  headers: { type: 'array', required: true, maxItems: limits.maxTableCols },
+  rows: { type: 'array', required: true, maxItems: limits.maxTableRows },
+  seed: { oneOf: ['string', 'integer'] },
+  domain: domainField(domains),
+  ...exportFields
+});
+
+// `domains` is the registry from lib/domains.js
+function createRequestSchemas(limits = DEFAULT_LIMITS, { domains } = {}) {
+  return {
+    token: {
+      apiKey: { type: 'string', maxLength: 200 }
+    },
+
+    generate: {
+      ...modelFields(limits),
+      count: { type: 'integer', required: true, min: 1, max: limits.maxListCount },
+      maxLength: { type: 'integer', min: 1, max: 1000 },
+      minWords: { type: 'integer', min: 1, max: 50 },
+      maxWords: { type: 'integer', min: 1, max: 50 }
+    },
+
+    generateTable: {
+      ...modelFields(limits),
+      rows: { type: 'integer', required: true, min: 1, max: limits.maxTableRows },
+      cols: { type: 'integer', min: 1, max: limits.maxTableCols },
+      columns: { type: 'array', maxItems: limits.maxTableCols },
+      seed: { oneOf: ['string', 'integer'] },
+      domain: domainField(domains),
+      stream: { type: 'boolean' },
+      ...exportFields
+    },
+
+    extendTable: {
+      ...editFields(limits, domains),
+      count: { type: 'integer', required: true, min: 1, max: limits.maxTableRows },
+      columns: { type: 'array', maxItems: limits.maxTableCols }
+    },
+
+    // `column` is a header name or a column definition as in `columns`
+    addTableColumn: {
+      ...editFields(limits, domains),
+      column: { oneOf: ['string', 'object'], required: true },
+      index: { type: 'integer', min: 0 }
+    },
+
+    regenerateTableColumn: {
+      ...editFields(limits, domains),
+      column: { oneOf: ['string', 'object'], required: true }
+    },
+
+    // [row, col] index pairs
+    rewriteTableCells: {
+      ...editFields(limits, domains),
+      cells: { type: 'array', required: true, maxItems: limits.maxTableRows }
+    },
+
+    // `tables` entries are checked against datasetTable by lib/dataset.js
+    generateDataset: {
+      ...modelFields(limits),
+      tables: { type: 'array', required: true },
+      seed: { oneOf: ['string', 'integer'] }
+    },
+
+    datasetTable: {
+      name: { type: 'string', required: true, maxLength: 50 },
+      rows: { type: 'integer', required: true, min: 1, max: limits.maxTableRows },
+      columns: { type: 'array', required: true, maxItems: limits.maxTableCols },
+      prompt: { type: 'string', maxLength: limits.maxPromptChars },
+      domain: domainField(domains),
+      key: { type: 'string', maxLength: 100 },
+      foreignKeys: { type: 'array', maxItems: limits.maxTableCols }
+    },
+
+    fallbackTable: {
+      rows: { type: 'integer', required: true, min: 1, max: limits.maxTableRows },
+      cols: { type: 'integer', min: 1, max: limits.maxTableCols },
+      headers: { type: 'array', maxItems: limits.maxTableCols },
+      columns: { type: 'array', maxItems: limits.maxTableCols },
+      seed: { oneOf: ['string', 'integer'] },
+      domain: domainField(domains),
+      prompt: { type: 'string', maxLength: limits.maxPromptChars },
+      referenceDate: { type: 'string', maxLength: 40 },
+      locale: { type: 'string', maxLength: 35 },
+      ...exportFields
+    },
+
+    // One event, or a batch in `events` ([{ event, props, ts }]); see lib/analytics.js.
+    // Names and props are fitted to GA4 there rather than rejected.
+    analytics: {
+      event: { type: 'string' },
+      events: { type: 'array', maxItems: 100 },
+      anonId: { type: 'string', maxLength: 100 },
+      props: { type: 'object' },
+      ts: { type: 'number', min: 0 }
+    }
+  };
+}
+
+const isCell = (v) => ['string', 'number', 'boolean'].includes(typeof v);
+
+// Every row of an edited table must have one scalar cell per header
+function tableIssues({ headers, rows }) {
+  const issues = [];
+  if (!headers.length) issues.push({ field: 'headers', message: 'headers must not be empty' });
+  const badHeader = headers.findIndex(h => typeof h !== 'string' || !h.trim());
+  if (badHeader !== -1) issues.push({ field: `headers[${badHeader}]`, message: `headers[${badHeader}] must be a non-empty string` });
+  const badRow = rows.findIndex(row => !Array.isArray(row) || row.length !== headers.length || !row.every(isCell));
+  if (badRow !== -1) {
+    issues.push({ field: `rows[${badRow}]`, message: `rows[${badRow}] must be an array of ${headers.length} strings, numbers or booleans` });
+  }
+  return issues;
+}
+
+// Rules that involve more than one field; each returns [{ field, message }]
+const crossChecks = {
+  generate: (body) => body.minWords && body.maxWords && body.minWords > body.maxWords
+    ? [{ field: 'minWords', message: 'minWords must not be greater than maxWords' }]
+    : [],
+
+  generateTable: (body) => !body.cols && !body.columns
+    ? [{ field: 'cols', message: 'cols is required unless columns are given' }]
+    : [],
+
+  editTable: tableIssues,
+
+  // Without `events` the body is one event, named "event" when `event` is left out
+  analytics: (body) => (body.events && body.event !== undefined
+    ? [{ field: 'event', message: 'send either event or events' }]
+    : [])
+};
+
+module.exports = { DEFAULT_LIMITS, createRequestSchemas, crossChecks };
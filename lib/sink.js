@@ -0,0 +1,203 @@
+// Local analytics sink: plugin events and the server's own generation requests
+// are appended to NDJSON files, so self-hosted deployments keep usage data with
+// or without GA4. One file per UTC day (events-2025-01-31.ndjson), continued in
+// events-2025-01-31.1.ndjson and so on once it reaches `maxBytes`; the oldest
+// files beyond `maxFiles` are deleted.
+//
+// Records are one JSON object per line:
+//   { type: 'event', ts, name, anonId, params }
+//   { type: 'generation', ts, route, status, anonId, rows, cells, durationMs, prompt, parsed }
+// where `status` is the HTTP status, or 'aborted' when the client went away
+// before the response was complete; `prompt` is the template used
+// (kind@version, lib/prompts.js) and `parsed` whether every model answer parsed.
+// IP addresses are never written.
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { logger: log } = require('./logger');
+
+const FILE_RE = /^events-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.ndjson$/;
+const DEFAULT_TOP_EVENTS = 10;
+
+const dayOf = (t) => new Date(t).toISOString().slice(0, 10);
+
+function createNdjsonSink({ dir, maxBytes = 10 * 1024 * 1024, maxFiles = 90 }) {
+  fs.mkdirSync(dir, { recursive: true });
+  let current = null; // { day, part, file, size }
+  let chain = Promise.resolve();
+
+  // Sink files, oldest first
+  function listFiles() {
+    return fs.readdirSync(dir)
+      .map(name => {
+        const m = name.match(FILE_RE);
+        return m && { name, day: m[1], part: Number(m[2] || 0) };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.day.localeCompare(b.day) || a.part - b.part);
+  }
+
+  function fileFor(day, part) {
+    return path.join(dir, part ? `events-${day}.${part}.ndjson` : `events-${day}.ndjson`);
+  }
+
+  // Continue the newest file of `day`, or start the next one when it is full
+  function target(day, bytes) {
+    if (!current || current.day !== day) {
+      const last = listFiles().filter(f => f.day === day).pop();
+      const part = last ? last.part : 0;
+      const file = fileFor(day, part);
+      current = { day, part, file, size: fs.existsSync(file) ? fs.statSync(file).size : 0 };
+    }
+    if (current.size > 0 && current.size + bytes > maxBytes) {
+      current = { day, part: current.part + 1, file: fileFor(day, current.part + 1), size: 0 };
+    }
+    return current;
+  }
+
+  async function prune() {
+    const files = listFiles().filter(f => path.join(dir, f.name) !== current.file);
+    for (const f of files.slice(0, Math.max(0, files.length + 1 - maxFiles))) {
+      await fs.promises.unlink(path.join(dir, f.name))
+        .catch(err => log.warn('Cannot delete old analytics file', { file: f.name, error: err.message }));
+    }
+  }
+
+  // Appends are serialized so lines never interleave and rotation sees the real
+  // size. Records go to the file of their own day.
+  function append(records) {
+    if (!records.length) return chain;
+    const byDay = new Map();
+    for (const r of records) byDay.set(dayOf(r.ts), [...(byDay.get(dayOf(r.ts)) || []), r]);
+    chain = chain.then(async () => {
+      for (const [day, group] of byDay) {
+        const lines = group.map(r => JSON.stringify(r) + '\n').join('');
+        const bytes = Buffer.byteLength(lines);
+        const before = current && current.file;
+        const file = target(day, bytes);
+        await fs.promises.appendFile(file.file, lines);
+        file.size += bytes;
+        if (file.file !== before) await prune();
+      }
+    }).catch(err => log.warn('Analytics sink write failed', { err }));
+    return chain;
+  }
+
+  // Every record with from <= day <= to (YYYY-MM-DD), streamed file by file
+  async function* read(from, to) {
+    for (const f of listFiles().filter(f => f.day >= from && f.day <= to)) {
+      const lines = readline.createInterface({ input: fs.createReadStream(path.join(dir, f.name)), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          yield JSON.parse(line);
+        } catch (e) {
+          // A line cut short by a crash; skip it
+        }
+      }
+    }
+  }
+
+  return {
+    // `events` from lib/analytics.js normalizeEvents
+    writeEvents(events, { anonId } = {}) {
+      return append(events.map(e => ({
+        type: 'event',
+        ts: new Date(e.ts || Date.now()).toISOString(),
+        name: e.name,
+        anonId: anonId || null,
+        params: e.params
+      })));
+    },
+
+    writeGeneration({ route, status, anonId, rows = 0, cells = 0, durationMs, prompt, parsed }) {
+      return append([{
+        type: 'generation', ts: new Date().toISOString(), route, status, anonId: anonId || null, rows, cells, durationMs,
+        prompt: prompt || null, parsed: parsed === undefined ? null : parsed
+      }]);
+    },
+
+    // Wait for pending writes, so a summary includes them
+    flush: () => chain,
+
+    read
+  };
+}
+
+// Aggregates for GET /analytics/summary over the days from..to (inclusive)
+async function summarize(sink, { from, to, top = DEFAULT_TOP_EVENTS }) {
+  await sink.flush();
+  const perDay = new Map();
+  const names = new Map();
+  const anonIds = new Set();
+  const routes = new Map();
+  const prompts = new Map();
+  let events = 0;
+
+  for await (const record of sink.read(from, to)) {
+    const day = String(record.ts).slice(0, 10);
+    if (day < from || day > to) continue;
+    if (record.anonId) anonIds.add(record.anonId);
+
+    if (record.type === 'event') {
+      events++;
+      perDay.set(day, (perDay.get(day) || 0) + 1);
+      names.set(record.name, (names.get(record.name) || 0) + 1);
+    } else if (record.type === 'generation') {
+      const r = routes.get(record.route) ||
+        { requests: 0, failures: 0, clientErrors: 0, aborted: 0, completedRows: 0, rows: 0, cells: 0, maxRows: 0, durationMs: 0 };
+      r.requests++;
+      // Failures are the server's and the model's (5xx); rejected requests
+      // (validation, rate limits, quota) are counted apart
+      if (record.status === 'aborted') r.aborted++;
+      else if (record.status >= 500) r.failures++;
+      else if (record.status >= 400) r.clientErrors++;
+      else r.completedRows += record.rows || 0;
+      r.rows += record.rows || 0;
+      r.cells += record.cells || 0;
+      r.maxRows = Math.max(r.maxRows, record.rows || 0);
+      r.durationMs += record.durationMs || 0;
+      routes.set(record.route, r);
+      if (record.prompt && typeof record.parsed === 'boolean') {
+        const p = prompts.get(record.prompt) || { requests: 0, parsed: 0 };
+        p.requests++;
+        if (record.parsed) p.parsed++;
+        prompts.set(record.prompt, p);
+      }
+    }
+  }
+
+  const ratio = (a, b) => (b ? Math.round((a / b) * 1000) / 1000 : 0);
+  const completed = (r) => r.requests - r.failures - r.clientErrors - r.aborted;
+  return {
+    from,
+    to,
+    uniqueAnonIds: anonIds.size,
+    events: {
+      total: events,
+      perDay: [...perDay].sort(([a], [b]) => a.localeCompare(b)).map(([day, count]) => ({ day, count })),
+      top: [...names].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, top).map(([name, count]) => ({ name, count }))
+    },
+    generations: Object.fromEntries([...routes].sort(([a], [b]) => a.localeCompare(b)).map(([route, r]) => [route, {
+      requests: r.requests,
+      failures: r.failures,
+      // Of the requests that were admitted
+      failureRate: ratio(r.failures, r.requests - r.clientErrors),
+      clientErrors: r.clientErrors,
+      aborted: r.aborted,
+      rows: r.rows,
+      cells: r.cells,
+      avgRows: ratio(r.completedRows, completed(r)),
+      maxRows: r.maxRows,
+      avgDurationMs: Math.round(ratio(r.durationMs, r.requests))
+    }])),
+    // Completed generations per prompt template, to compare A/B variants
+    prompts: Object.fromEntries([...prompts].sort(([a], [b]) => a.localeCompare(b)).map(([id, p]) => [id, {
+      requests: p.requests,
+      parsed: p.parsed,
+      parseRate: ratio(p.parsed, p.requests)
+    }]))
+  };
+}
+
+module.exports = { createNdjsonSink, summarize };
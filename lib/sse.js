@@ -0,0 +1,42 @@
+// Minimal Server-Sent Events helper for streaming responses to the plugin
+
+// Does the client want an event stream instead of a single JSON response?
+function wantsEventStream(req) {
+  return req.body?.stream === true || String(req.headers.accept || '').includes('text/event-stream');
+}
+
+// Switch `res` to an event stream. `closed` turns true once the client goes
+// away, and `signal` aborts at the same moment so upstream calls can be cancelled.
+function openEventStream(res) {
+  const controller = new AbortController();
+  const stream = {
+    closed: false,
+    signal: controller.signal,
+    send(event, data) {
+      if (stream.closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (!stream.closed) res.end();
+    }
+  };
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      stream.closed = true;
+      controller.abort();
+    }
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Stop proxies in front of Code Engine from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  return stream;
+}
+
+module.exports = { wantsEventStream, openEventStream };
@@ -0,0 +1,378 @@
+// Table generation pipeline shared by /generateTable: prompt building, parsing
+// of the model output and batching for large tables.
+const { applySchema, coerceCell, describeColumns } = require('./columns');
+const { createFallbackGenerator } = require('./fallback');
+const { extractJson } = require('./extract');
+const { localeInstruction } = require('./locales');
+const { builtinTemplate } = require('./prompts');
+const { logger: log } = require('./logger');
+const { metrics } = require('./metrics');
+
+const DEFAULT_BATCH_ROWS = 20;
+const DEFAULT_MAX_NEW_TOKENS = 2048;
+// Batches in a row that may come back empty before the rest is filled with fallback rows
+const MAX_EMPTY_BATCHES = 2;
+// How many earlier rows are quoted back to the model so it does not repeat them
+const MAX_EXCLUDED_ROWS = 40;
+// Follow-up calls per batch that show the model what was wrong with its answer
+const DEFAULT_MAX_REPAIRS = 2;
+const MAX_ISSUES_IN_PROMPT = 10;
+
+// `context` is extra instructions placed before the prompt, e.g. the table being
+// edited (see lib/edit.js). `template` is a table template from lib/prompts.js.
+function buildTablePrompt({ prompt, rows, cols, schema, headers, existing = [], startRow = 0, locale = null, context = '', template = builtinTemplate('table') }) {
+  let fixedHeaders = '';
+  if (schema) {
+    fixedHeaders = `
+Use exactly these headers, in this order, and make every value match its column definition:
+${describeColumns(schema)}
+`;
+  } else if (headers) {
+    fixedHeaders = `
+Use exactly these headers, in this order: ${JSON.stringify(headers)}
+`;
+  }
+
+  let continuation = '';
+  if (existing.length) {
+    const recent = existing.slice(-MAX_EXCLUDED_ROWS).map(row => JSON.stringify(row)).join('\n');
+    continuation = `
+This continues an existing table: generate rows ${startRow + 1} to ${startRow + rows}.
+Every row must be new. Do not repeat any of these existing rows:
+${recent}
+`;
+  }
+
+  return template.render('user', {
+    prompt,
+    rows,
+    cols,
+    localeRule: locale ? `- ${localeInstruction(locale)}\n` : '',
+    fixedHeaders,
+    continuation,
+    context: context ? `\n${context}\n` : ''
+  });
+}
+
+// Room for the headers plus every requested row, never less than the old fixed 256
+function estimateMaxTokens(rows, cols, cap = DEFAULT_MAX_NEW_TOKENS) {
+  return Math.min(cap, Math.max(256, 40 + cols * 6 + rows * (cols * 8 + 6)));
+}
+
+const hasTableShape = (v) => Array.isArray(v.headers) && Array.isArray(v.rows);
+
+// Parse model text into { headers, rows, repairs, issues, padded }. Headers and
+// rows are empty when nothing usable came back; `repairs` lists what
+// lib/extract.js had to fix, `issues` describes shape problems in words the
+// model can act on, and `padded` maps row index -> cells the model actually sent.
+function parseTableText(text, rows, cols) {
+  let headers = [];
+  let bodyRows = [];
+  const issues = [];
+  const padded = new Map();
+
+  let result = extractJson(text, { expect: 'object', accept: hasTableShape });
+  let obj = result.value;
+  const repairs = [...result.repairs];
+
+  // Some models answer with an array of records instead: [{ "Name": "Ann", ... }]
+  if (!obj) {
+    const records = extractJson(text, { expect: 'array', accept: v => v.length > 0 && v.every(r => r && typeof r === 'object' && !Array.isArray(r)) });
+    if (records.value) {
+      result = records;
+      obj = { headers: Object.keys(records.value[0]), rows: records.value };
+      repairs.splice(0, repairs.length, ...records.repairs, 'records');
+    }
+  }
+
+  if (!obj) {
+    log.warn('Model output has no usable table', { error: result.error });
+    metrics.tableParseFailures.inc();
+    issues.push('the answer was not a JSON object with "headers" and "rows" arrays');
+    return { headers, rows: bodyRows, repairs, issues, padded };
+  }
+
+  // Validate and clean the data
+  headers = obj.headers
+    .map(x => String(x))
+    .filter(x => x && x.trim() && !x.includes('[') && !x.includes('{')) // filter out malformed entries
+    .slice(0, cols);
+
+  bodyRows = obj.rows
+    .filter((r, idx) => {
+      // The last row of a cut-off answer is only kept if it is complete
+      const cutOff = idx === obj.rows.length - 1 && r && typeof r === 'object' && result.incomplete.has(r);
+      const complete = Array.isArray(r) ? r.length >= cols : r && Object.keys(r).length >= cols;
+      if (cutOff && !complete) {
+        repairs.push('dropped_incomplete_row');
+        return false;
+      }
+      return true;
+    })
+    .map(r => {
+      if (Array.isArray(r)) return r;
+      // Row objects keyed by header
+      if (r && typeof r === 'object') {
+        if (!repairs.includes('records') && !repairs.includes('row_objects')) repairs.push('row_objects');
+        return obj.headers.map(h => r[h]);
+      }
+      return [];
+    })
+    .map(r => r.map(x => x === null || x === undefined ? '' : (typeof x === 'object' ? JSON.stringify(x) : String(x))))
+    .slice(0, rows)
+    .map((r, idx) => {
+      if (r.length !== cols) issues.push(`row ${idx + 1} has ${r.length} cells, expected ${cols}`);
+      if (r.length < cols) padded.set(idx, r.length);
+      return r.length > cols ? r.slice(0, cols) : r.concat(Array(cols - r.length).fill(""));
+    });
+
+  if (headers.length !== cols) issues.push(`"headers" has ${headers.length} entries, expected ${cols}`);
+  if (bodyRows.length < rows) issues.push(`"rows" has ${bodyRows.length} rows, expected ${rows}`);
+
+  log.debug('Parsed model table', { headers: headers.length, rows: bodyRows.length, repairs, issues });
+
+  return { headers, rows: bodyRows, repairs, issues, padded };
+}
+
+// Cells that do not fit the column schema, phrased for a repair prompt
+function schemaIssues(schema, rows, startRow) {
+  const issues = [];
+  rows.forEach((row, r) => schema.forEach((col, c) => {
+    if (coerceCell(col, row[c]) === null) {
+      issues.push(`row ${startRow + r + 1} column "${col.name}": ${JSON.stringify(row[c])} is not a valid ${col.type}`);
+    }
+  }));
+  return issues;
+}
+
+const repairPrompt = (template, issues) => template.render('repair', {
+  issues: issues.slice(0, MAX_ISSUES_IN_PROMPT).map(issue => `- ${issue}`).join('\n') +
+    (issues.length > MAX_ISSUES_IN_PROMPT ? `\n- ... and ${issues.length - MAX_ISSUES_IN_PROMPT} more` : '')
+});
+
+// One batch of up to `rows` rows. When the answer has problems the model is
+// shown them and asked again, up to `maxRepairs` times; the attempt with the
+// fewest problems wins. Resolves to the parsed table plus `source`
+// ('model' for the first answer, 'repair' for a corrected one) and `attempts`.
+async function requestTableBatch({ provider, model, endpoint, accessToken, signal, prompt, rows, cols, schema, headers, existing, startRow, locale, context, maxNewTokens, maxRepairs = DEFAULT_MAX_REPAIRS, template = builtinTemplate('table'), isCancelled = () => false }) {
+  const schemaInstruction = buildTablePrompt({ prompt, rows, cols, schema, headers, existing, startRow, locale, context, template });
+  log.content('Table prompt', schemaInstruction, { startRow, rows });
+
+  const messages = [
+    {
+      role: "system",
+      content: template.render('system')
+    },
+    {
+      role: "user",
+      content: schemaInstruction
+    }
+  ];
+  // A template's max_new_tokens can only lower the server's limit
+  const { max_new_tokens: templateCap, ...decoding } = template.parameters;
+  const parameters = {
+    ...decoding,
+    max_new_tokens: estimateMaxTokens(rows, cols, templateCap ? Math.min(templateCap, maxNewTokens) : maxNewTokens)
+  };
+
+  // Fixed headers (schema or an earlier batch) are not the model's to get wrong
+  const findIssues = (parsed) => parsed.issues
+    .filter(issue => !(headers && issue.startsWith('"headers"')))
+    .concat(schema ? schemaIssues(schema, parsed.rows, startRow) : []);
+
+  let best = null;
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    log.debug('Requesting table batch', { provider: provider.name, model, startRow, rows, attempt: attempt + 1, maxNewTokens: parameters.max_new_tokens });
+
+    const text = await provider.chat({
+      model,
+      messages,
+      parameters,
+      endpoint,
+      accessToken,
+      signal,
+      task: { type: 'table', rows, cols, headers, startRow, attempt }
+    });
+
+    log.content('Model output', text, { startRow, attempt: attempt + 1 });
+
+    const parsed = parseTableText(text, rows, cols);
+    const issues = findIssues(parsed);
+    if (!best || issues.length < best.issues.length) {
+      best = { ...parsed, issues, source: attempt === 0 ? 'model' : 'repair' };
+    }
+    best.attempts = attempt + 1;
+    if (best.issues.length === 0 || isCancelled() || attempt === maxRepairs) break;
+
+    log.info('Asking the model to fix its answer', { startRow, attempt: attempt + 1, issues: issues.length });
+    metrics.tableRepairAttempts.inc();
+    messages.push({ role: 'assistant', content: text }, { role: 'user', content: repairPrompt(template, issues) });
+  }
+
+  return best;
+}
+
+const rowKey = (row) => row.map(v => String(v).trim().toLowerCase()).join('\u0001');
+
+// Generate `rows` rows in batches of `batchSize`. Every batch after the first
+// reuses the same headers and is told which rows already exist; duplicates are
+// dropped. `onBatch` is awaited after each batch, and generation stops early
+// when `isCancelled()` returns true. `seed` makes the fallback rows reproducible
+// and `domains`/`domain` pick the fallback domain pack. `locale` (lib/locales.js)
+// goes into the prompt and localizes the fallback rows.
+//
+// `existing` ({ headers, rows }) continues a table the client already has: its
+// headers are kept, its rows are quoted to the model and count as duplicates,
+// and only the new rows are returned. `context` is passed on to every batch
+// prompt (see buildTablePrompt), as is `template` (lib/prompts.js).
+//
+// The result carries `provenance`: where each header and row came from
+// ('schema', 'model', 'repair' or 'fallback') and `syntheticCells`, the
+// [row, col] pairs the server made up inside model rows.
+async function generateTable({
+  provider, model, endpoint, accessToken, signal,
+  prompt, rows, cols, schema, seed, domains, domain, locale = null, existing = null, context = '', template,
+  batchSize = DEFAULT_BATCH_ROWS, maxNewTokens = DEFAULT_MAX_NEW_TOKENS, maxRepairs = DEFAULT_MAX_REPAIRS,
+  onBatch = async () => {}, isCancelled = () => false
+}) {
+  const prior = existing ? existing.rows : [];
+  let headers = existing ? [...existing.headers] : schema ? schema.map(col => col.name) : null;
+  let headerSources = existing ? headers.map(() => 'existing') : schema ? headers.map(() => 'schema') : null;
+  const out = [];
+  const rowSources = [];
+  const syntheticCells = [];
+  const seen = new Set(prior.map(rowKey));
+  const fallback = createFallbackGenerator({ seed, domains, domain, prompt, locale });
+  const schemaState = { values: fallback.values, offset: prior.length };
+  // Ids the client already has must not come back in new rows
+  if (schema && prior.length) {
+    schemaState.idsSeen = schema.map((col, c) => new Set(col.type === 'id' ? prior.map(row => String(row[c])) : []));
+  }
+  let batches = 0;
+  let emptyBatches = 0;
+  let modelRows = 0;
+  let repairAttempts = 0;
+
+  const emit = async (batchRows, source, batchSynthetic) => {
+    const startRow = out.length;
+    out.push(...batchRows);
+    rowSources.push(...batchRows.map(() => source));
+    syntheticCells.push(...batchSynthetic);
+    batches++;
+    await onBatch({
+      index: batches - 1,
+      headers,
+      headerSources,
+      rows: batchRows,
+      startRow,
+      generated: out.length,
+      total: rows,
+      source,
+      syntheticCells: batchSynthetic
+    });
+  };
+
+  // Schema columns are validated per batch so streamed rows are already final.
+  // Returns the rows and the [row, col] cells that had to be synthesized.
+  const finish = (batchRows) => {
+    if (!schema) return { rows: batchRows, synthetic: [] };
+    const checked = applySchema(schema, batchRows, schemaState);
+    if (checked.invalid.length) {
+      log.debug('Synthesized cells that failed the column schema', { cells: checked.invalid.length });
+    }
+    // applySchema counts rows from the start of `existing`; results count from the first new row
+    return { rows: checked.rows, synthetic: checked.invalid.map(cell => [cell.row - prior.length, cell.col]) };
+  };
+
+  while (out.length < rows && emptyBatches < MAX_EMPTY_BATCHES && !isCancelled()) {
+    const want = Math.min(batchSize, rows - out.length);
+    const parsed = await requestTableBatch({
+      provider, model, endpoint, accessToken, signal,
+      prompt, rows: want, cols, schema, headers,
+      existing: prior.length ? [...prior, ...out] : out, startRow: prior.length + out.length, locale, context, template, maxNewTokens, maxRepairs, isCancelled
+    });
+    repairAttempts += parsed.attempts - 1;
+    if (isCancelled()) break;
+
+    if (!headers) {
+      // Keep what the model got right and complete the rest from the fallback
+      headers = parsed.headers.slice(0, cols);
+      headerSources = headers.map(() => parsed.source);
+      const spare = fallback.headers(cols).filter(h => !headers.some(x => x.toLowerCase() === h.toLowerCase()));
+      while (headers.length < cols) {
+        headers.push(spare.shift() || (locale ? locale.columnLabel(headers.length + 1) : `Column ${headers.length + 1}`));
+        headerSources.push('fallback');
+      }
+    }
+
+    const fresh = [];
+    parsed.rows.forEach((row, idx) => {
+      const key = rowKey(row);
+      if (seen.has(key)) return;
+      seen.add(key);
+      fresh.push({ row, sent: parsed.padded.has(idx) ? parsed.padded.get(idx) : cols });
+    });
+
+    if (fresh.length === 0) {
+      emptyBatches++;
+      continue;
+    }
+    emptyBatches = 0;
+    modelRows += fresh.length;
+
+    const startRow = out.length;
+    const synthetic = [];
+    // Cells missing from short rows: the schema synthesizes them, otherwise use fallback values
+    const batchRows = fresh.map(({ row, sent }, i) => {
+      if (sent === cols || schema) return row;
+      const name = fallback.values.randomName();
+      return row.map((cell, c) => {
+        if (c < sent) return cell;
+        synthetic.push([startRow + i, c]);
+        return fallback.values.valueForHeader(headers[c], prior.length + startRow + i, c, name);
+      });
+    });
+    const finished = finish(batchRows);
+    await emit(finished.rows, parsed.source, [...synthetic, ...finished.synthetic]);
+  }
+
+  if (!headers) {
+    headers = fallback.headers(cols);
+    headerSources = headers.map(() => 'fallback');
+  }
+
+  // Whatever the model could not produce is filled with fallback rows
+  let fallbackCount = 0;
+  if (out.length < rows && !isCancelled()) {
+    fallbackCount = rows - out.length;
+    const filler = schema
+      ? Array.from({ length: fallbackCount }, () => [])
+      : fallback.rows(headers, fallbackCount, prior.length + out.length);
+    // Whole rows are marked as fallback, so their cells are not listed individually
+    await emit(finish(filler).rows, 'fallback', []);
+    metrics.tableFallbackTables.inc();
+    metrics.tableFallbackRows.inc(undefined, fallbackCount);
+  }
+  metrics.tableSyntheticCells.inc(undefined, syntheticCells.length);
+
+  return {
+    headers,
+    rows: out,
+    provenance: { headers: headerSources, rows: rowSources, syntheticCells, repairAttempts },
+    batches,
+    modelRows,
+    fallbackRows: fallbackCount,
+    seed: fallback.seed,
+    cancelled: isCancelled()
+  };
+}
+
+module.exports = {
+  DEFAULT_BATCH_ROWS,
+  DEFAULT_MAX_NEW_TOKENS,
+  DEFAULT_MAX_REPAIRS,
+  buildTablePrompt,
+  parseTableText,
+  requestTableBatch,
+  generateTable
+};
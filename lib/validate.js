@@ -0,0 +1,70 @@
+// Small declarative validation for request bodies. A schema maps field names to
+//   { type, required, min, max, maxLength, maxItems, enum, oneOf: [types], check }
+// with type one of string, integer, number, boolean, array, object. `check(value)`
+// returns what is wrong with a value of the right type ("must be ...") or null.
+// All problems are collected and reported together as VALIDATION_FAILED with
+// details: [{ field, message }]. Unknown fields are ignored.
+const { httpError } = require('./errors');
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+const typeMatches = (value, type) =>
+  type === 'number' ? typeof value === 'number' && isFinite(value) : typeOf(value) === type;
+
+function checkField(field, value, rule) {
+  const types = rule.oneOf || [rule.type];
+  if (!types.some(t => typeMatches(value, t))) {
+    return `${field} must be ${types.map(t => (/^[aeiou]/.test(t) ? 'an ' : 'a ') + t).join(' or ')}`;
+  }
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) return `${field} must be at least ${rule.min}`;
+    if (rule.max !== undefined && value > rule.max) return `${field} must be at most ${rule.max}`;
+  }
+  if (typeof value === 'string') {
+    if (rule.required && !value.trim()) return `${field} must not be empty`;
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) return `${field} must be at most ${rule.maxLength} characters`;
+  }
+  if (Array.isArray(value) && rule.maxItems !== undefined && value.length > rule.maxItems) {
+    return `${field} must have at most ${rule.maxItems} entries`;
+  }
+  if (rule.enum && !rule.enum.includes(value)) return `${field} must be one of: ${rule.enum.join(', ')}`;
+  const problem = rule.check && rule.check(value);
+  if (problem) return `${field} ${problem}`;
+  return null;
+}
+
+// Returns [{ field, message }] for everything wrong with `body`
+function checkBody(schema, body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return [{ field: 'body', message: 'request body must be a JSON object' }];
+  }
+  const issues = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = body[field];
+    if (value === undefined || value === null) {
+      if (rule.required) issues.push({ field, message: `${field} is required` });
+      continue;
+    }
+    const message = checkField(field, value, rule);
+    if (message) issues.push({ field, message });
+  }
+  return issues;
+}
+
+// Throws VALIDATION_FAILED unless `body` satisfies `schema`. `extra(body)` may
+// return more issues for rules that span several fields.
+function validateBody(schema, body, extra) {
+  const issues = checkBody(schema, body);
+  if (!issues.length && extra) issues.push(...extra(body));
+  if (issues.length) {
+    throw httpError('VALIDATION_FAILED', issues.map(i => i.message).join('; '), issues);
+  }
+  return body;
+}
+
+module.exports = { checkBody, validateBody };
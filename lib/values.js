@@ -0,0 +1,192 @@
+// Word lists and value helpers shared by the fallback rows and the column schema.
+// Everything random goes through `random` and every date is relative to
+// `referenceDate`, so a seeded instance always produces the same values.
+//
+// Cell values are picked by generator rules matched against the header text.
+// A rule looks like
+//   { match: ['created', 'updated'], exclude: ['by'], type: 'date', daysBack: 90 }
+// `match` are substrings, `equals` exact (lowercased) headers, `exclude` vetoes.
+// Types:
+//   id        prefix + (start + row), e.g. USR-1000
+//   name      a random person; the row's own person when `row: true`
+//   username, email, phone
+//   list      a random entry of `values`
+//   cycle     `values` in row order
+//   range     number between `min` and `max` with `decimals` (default 0), optional prefix/suffix;
+//             `currency: true` formats it as money ($ by default, the locale's currency with a locale)
+//   date      YYYY-MM-DD within `daysBack` days of the reference date
+//   datetime  YYYY-MM-DD HH:MM:SS within `daysBack` days
+//   sequence  `template` with {n} replaced by the 1-based row number
+//   format    `pattern` with # -> digit, @ -> uppercase letter, {n} -> row number
+//   endpoint  /api/vX/resource/N
+// JS domain packs may also give a rule a `generate({ header, r, c, name, values })` function.
+//
+// With a `locale` (from lib/locales.js) names, phone numbers and cities are local,
+// dates and numbers are formatted by Intl, and localized headers are matched
+// against the rules by their English label.
+const { createRandom } = require('./random');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const firstNames = ['Liam','Noah','Oliver','Elijah','James','William','Benjamin','Lucas','Henry','Alexander','Emma','Olivia','Ava','Isabella','Sophia','Mia','Charlotte','Amelia','Harper','Evelyn'];
+const lastNames = ['Smith','Johnson','Williams','Brown','Jones','Garcia','Miller','Davis','Rodriguez','Martinez','Hernandez','Lopez','Gonzalez','Wilson','Anderson','Thomas','Taylor','Moore','Jackson','Martin'];
+
+const GENERATOR_TYPES = ['id', 'name', 'username', 'email', 'phone', 'list', 'cycle', 'range', 'date', 'datetime', 'sequence', 'format', 'endpoint'];
+
+// Used for every header no domain pack rule claims
+const DEFAULT_RULES = [
+  // User management mapping
+  { match: 'id', exclude: ['order', 'product'], type: 'id', prefix: 'USR', start: 1000 },
+  { equals: 'name', match: 'full name', type: 'name', row: true },
+  { match: 'username', type: 'username' },
+  { match: 'email', type: 'email' },
+  { match: 'role', type: 'list', values: ['Admin','Manager','Editor','Viewer','Analyst','Developer','Designer','Support'] },
+  { match: 'department', type: 'list', values: ['Engineering','Sales','Marketing','Finance','HR','Operations','Customer Success','IT'] },
+  { match: 'status', exclude: ['http', 'code'], type: 'cycle', values: ['Active', 'Inactive'] },
+  { match: 'phone', type: 'phone' },
+  { match: ['location', 'city'], type: 'list', values: ['New York','San Francisco','London','Berlin','Paris','Toronto','Sydney','Tokyo'] },
+  { match: 'manager', type: 'name' },
+  { match: ['last login', 'created', 'updated'], type: 'date', daysBack: 90 },
+  // Performance/downtime mapping
+  { match: 'application', type: 'sequence', template: 'Application {n}' },
+  { match: 'hostname', type: 'sequence', template: 'host{n}.example.com' },
+  { match: 'method', type: 'list', values: ['GET','POST','PUT','DELETE','PATCH'] },
+  { match: 'start time', type: 'datetime', daysBack: 7 },
+  { match: 'response time', type: 'range', min: 50, max: 1200 },
+  { match: 'load time', type: 'range', min: 200, max: 5000 },
+  { match: 'downtime', type: 'range', min: 0, max: 120 },
+  { match: 'sla', type: 'range', min: 95, max: 99.99, decimals: 1 },
+  { match: 'error rate', type: 'range', min: 0, max: 5, decimals: 1 },
+  { match: ['cpu', 'memory', 'disk'], type: 'range', min: 5, max: 95, decimals: 1 },
+  { match: 'endpoint', type: 'endpoint' },
+  { match: 'env', type: 'list', values: ['prod','staging','dev'] },
+  { match: 'region', type: 'list', values: ['us-east-1','us-west-2','eu-central-1','ap-south-1'] }
+];
+
+const toList = (v) => v === undefined ? [] : (Array.isArray(v) ? v : [v]).map(s => String(s).toLowerCase());
+
+// Check a rule's shape; throws with a message naming what is wrong
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') throw new Error('generator rule must be an object');
+  if (!toList(rule.match).length && !toList(rule.equals).length) throw new Error('generator rule needs "match" or "equals"');
+  if (typeof rule.generate === 'function') return;
+  if (!GENERATOR_TYPES.includes(rule.type)) throw new Error(`generator type must be one of: ${GENERATOR_TYPES.join(', ')}`);
+  if ((rule.type === 'list' || rule.type === 'cycle') && !(Array.isArray(rule.values) && rule.values.length)) {
+    throw new Error(`"${rule.type}" generator needs a non-empty "values" array`);
+  }
+  if (rule.type === 'range' && !(isFinite(rule.min) && isFinite(rule.max) && rule.min <= rule.max)) {
+    throw new Error('"range" generator needs numeric "min" <= "max"');
+  }
+  if (rule.type === 'sequence' && typeof rule.template !== 'string') throw new Error('"sequence" generator needs a "template"');
+  if (rule.type === 'format' && typeof rule.pattern !== 'string') throw new Error('"format" generator needs a "pattern"');
+}
+
+function ruleMatches(rule, h) {
+  const hit = toList(rule.equals).includes(h) || toList(rule.match).some(m => h.includes(m));
+  return hit && !toList(rule.exclude).some(x => h.includes(x));
+}
+
+// "Müller" -> "muller", "ß" -> "ss"
+const asciiFold = (s) => s.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/ß/g, 'ss');
+
+// `seed` undefined keeps the old Math.random behaviour; `referenceDate` defaults to now.
+// `rules` (from a domain pack) are tried before DEFAULT_RULES. `locale` is a
+// resolveLocale() result or null for the original US-English values.
+function createValues({ seed, referenceDate, rules = [], locale = null } = {}) {
+  const random = seed === undefined ? Math.random : createRandom(seed);
+  const now = referenceDate ? new Date(referenceDate).getTime() : Date.now();
+  const localeRules = locale ? [{ match: ['location', 'city'], type: 'list', values: locale.data.cities }] : [];
+  const allRules = [...rules, ...localeRules, ...DEFAULT_RULES];
+
+  // Local names may carry a romanization ("佐藤|sato") used for usernames
+  const latinOf = new Map();
+  const namePart = (entry) => {
+    const [native, latin] = entry.split('|');
+    if (latin) latinOf.set(native, latin);
+    return native;
+  };
+  const given = locale ? locale.data.firstNames.map(namePart) : firstNames;
+  const family = locale ? locale.data.lastNames.map(namePart) : lastNames;
+
+  const rand = (arr) => arr[Math.floor(random() * arr.length)];
+  const randomName = () => {
+    const first = rand(given);
+    const last = rand(family);
+    return locale && locale.data.familyFirst ? `${last} ${first}` : `${first} ${last}`;
+  };
+  const usernameFrom = (name) => {
+    const latin = name.split(' ').map(part => latinOf.get(part) || part).join(' ');
+    return asciiFold(latin).toLowerCase().replace(/[^a-z]+/g,'').slice(0,12);
+  };
+  const emailFrom = (name, i) => `${usernameFrom(name)}${i+1}@${locale ? locale.data.emailDomain : 'example.com'}`;
+  const phone = () => locale
+    ? locale.data.phone.replace(/#/g, () => String(Math.floor(random() * 10)))
+    : `+1-${Math.floor(200+random()*700)}-${Math.floor(200+random()*700)}-${String(Math.floor(1000+random()*9000))}`;
+  const dateRecent = (daysBack = 90) => {
+    const d = new Date(now - Math.floor(random()*DAY_MS*daysBack));
+    return locale ? locale.formatDate(d) : d.toISOString().slice(0,10);
+  };
+  const timeOfDay = (daysBack = 7) => {
+    const d = new Date(now - Math.floor(random()*DAY_MS*daysBack));
+    return locale ? locale.formatDateTime(d) : d.toISOString().replace('T',' ').slice(0,19);
+  };
+  const pct = (min,max) => (min + random()*(max-min)).toFixed(1);
+  const int = (min,max) => Math.floor(min + random()*(max-min+1));
+
+  function generate(rule, header, r, c, name) {
+    if (typeof rule.generate === 'function') {
+      return String(rule.generate({ header, r, c, name, values: api }));
+    }
+    switch (rule.type) {
+      case 'id': return `${rule.prefix || 'ID'}-${(rule.start ?? 1000) + r}`;
+      case 'name': return rule.row ? name : randomName();
+      case 'username': return usernameFrom(name);
+      case 'email': return emailFrom(name, r);
+      case 'phone': return phone();
+      case 'list': return String(rand(rule.values));
+      case 'cycle': return String(rule.values[r % rule.values.length]);
+      case 'range': {
+        const decimals = rule.decimals || 0;
+        const value = decimals ? rule.min + random()*(rule.max-rule.min) : int(rule.min, rule.max);
+        if (rule.currency && locale) return locale.formatCurrency(Number(value.toFixed(decimals)));
+        const n = locale ? locale.formatNumber(value, decimals) : value.toFixed(decimals);
+        return `${rule.prefix || (rule.currency ? '$' : '')}${n}${rule.suffix || ''}`;
+      }
+      case 'date': return dateRecent(rule.daysBack);
+      case 'datetime': return timeOfDay(rule.daysBack);
+      case 'sequence': return rule.template.replace(/\{n\}/g, String(r + 1));
+      case 'format':
+        return rule.pattern
+          .replace(/\{n\}/g, String(r + 1))
+          .replace(/[#@]/g, ch => ch === '#' ? String(int(0, 9)) : String.fromCharCode(65 + int(0, 25)));
+      case 'endpoint': return `/api/v${1+ (r%3)}/resource/${100 + r}`;
+      default: return `Value ${r + 1}-${c + 1}`;
+    }
+  }
+
+  // Pick a realistic value for a cell from keywords in its header.
+  // `name` is the person generated for the row so name/username/email stay consistent.
+  function valueForHeader(header, r, c, name) {
+    const h = String((locale ? locale.canonicalHeader(header) : header) || '').toLowerCase();
+    const rule = allRules.find(rl => ruleMatches(rl, h));
+    return rule ? generate(rule, header, r, c, name) : `Value ${r + 1}-${c + 1}`;
+  }
+
+  const api = {
+    now,
+    random,
+    rand,
+    randomName,
+    usernameFrom,
+    emailFrom,
+    phone,
+    dateRecent,
+    timeOfDay,
+    pct,
+    int,
+    valueForHeader
+  };
+  return api;
+}
+
+module.exports = { DAY_MS, GENERATOR_TYPES, validateRule, createValues };
@@ -1,545 +1,836 @@
+const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const fetch = require('node-fetch');
+const { normalizeColumns, applySchema } = require('./lib/columns');
+const { createFallbackGenerator } = require('./lib/fallback');
+const { loadDomainPacks } = require('./lib/domains');
+const { DEFAULT_PROMPTS_DIR, loadPromptTemplates } = require('./lib/prompts');
+const { DEFAULT_IAM_URL, requestIamToken, createTokenManager } = require('./lib/iam');
+const { createUpstreamFixtures } = require('./lib/fixtures');
+const { createProviderRegistry } = require('./lib/providers');
+const { DEFAULT_BATCH_ROWS, DEFAULT_MAX_NEW_TOKENS, DEFAULT_MAX_REPAIRS, generateTable } = require('./lib/table');
+const { wantsEventStream, openEventStream } = require('./lib/sse');
+const { planDataset, generateDataset } = require('./lib/dataset');
+const { checkCells, checkColumn, extendTable, addColumn, regenerateColumn, rewriteCells } = require('./lib/edit');
+const { DEFAULT_MAX_TOP_UPS, generateList } = require('./lib/list');
+const { resolveLocale } = require('./lib/locales');
+const { httpError, normalizeError, errorBody, sendError } = require('./lib/errors');
+const { logger: log, withContext } = require('./lib/logger');
+const { metrics } = require('./lib/metrics');
+const { DEFAULT_LIMITS: DEFAULT_RATE_LIMITS, DEFAULT_IP_LIMITS: DEFAULT_IP_RATE_LIMITS, clientIp, anonIdOf, clientKey, createRateLimiter } = require('./lib/ratelimit');
+const { exportTable, downloadName } = require('./lib/formats');
+const { DEFAULT_COLLECT_URL, normalizeEvents, createAnalyticsForwarder } = require('./lib/analytics');
+const { createNdjsonSink, summarize } = require('./lib/sink');
+const { validateBody } = require('./lib/validate');
+const { DEFAULT_LIMITS, createRequestSchemas, crossChecks } = require('./lib/schemas');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Configuration from environment variables
 const PROJECT_ID = process.env.PROJECT_ID || 'ca5f429d-c12e-457d-a17f-d3ba1aeb5044';
-const MODEL_ID = 'ibm/granite-3-3-8b-instruct';
 const WATSON_API_KEY = process.env.WATSON_API_KEY;
+// Overridable so the proxy can be pointed at a local IAM stand-in
+const IAM_URL = process.env.IAM_URL || DEFAULT_IAM_URL;
+const IAM_REFRESH_MARGIN_SEC = Number(process.env.IAM_REFRESH_MARGIN_SEC) || 300;
+// Rows per model call for /generateTable and the token budget for each call
+const TABLE_BATCH_ROWS = Number(process.env.TABLE_BATCH_ROWS) || DEFAULT_BATCH_ROWS;
+const TABLE_MAX_NEW_TOKENS = Number(process.env.TABLE_MAX_NEW_TOKENS) || DEFAULT_MAX_NEW_TOKENS;
+// Follow-up calls /generate may make to replace duplicates and short answers
+const GENERATE_MAX_TOP_UPS = process.env.GENERATE_MAX_TOP_UPS !== undefined ? Number(process.env.GENERATE_MAX_TOP_UPS) : DEFAULT_MAX_TOP_UPS;
+// How many times a bad batch is sent back to the model with its errors (0 disables)
+const TABLE_MAX_REPAIRS = process.env.TABLE_MAX_REPAIRS !== undefined ? Number(process.env.TABLE_MAX_REPAIRS) : DEFAULT_MAX_REPAIRS;
+// Request size limits; anything larger is rejected with VALIDATION_FAILED
+const LIMITS = {
+  maxTableRows: Number(process.env.MAX_TABLE_ROWS) || DEFAULT_LIMITS.maxTableRows,
+  maxTableCols: Number(process.env.MAX_TABLE_COLS) || DEFAULT_LIMITS.maxTableCols,
+  maxListCount: Number(process.env.MAX_LIST_COUNT) || DEFAULT_LIMITS.maxListCount,
+  maxPromptChars: Number(process.env.MAX_PROMPT_CHARS) || DEFAULT_LIMITS.maxPromptChars
+};
+// Per-client request rate (token bucket) and daily generation quota; 0 disables each
+const numberEnv = (name, fallback) => process.env[name] !== undefined ? Number(process.env[name]) : fallback;
+const RATE_LIMITS = {
+  burst: numberEnv('RATE_LIMIT_BURST', DEFAULT_RATE_LIMITS.burst),
+  perMinute: numberEnv('RATE_LIMIT_PER_MIN', DEFAULT_RATE_LIMITS.perMinute),
+  dailyRows: numberEnv('QUOTA_DAILY_ROWS', DEFAULT_RATE_LIMITS.dailyRows),
+  dailyCells: numberEnv('QUOTA_DAILY_CELLS', DEFAULT_RATE_LIMITS.dailyCells)
+};
+// The same per IP, across every anonId sent from it
+const IP_RATE_LIMITS = {
+  burst: numberEnv('RATE_LIMIT_IP_BURST', DEFAULT_IP_RATE_LIMITS.burst),
+  perMinute: numberEnv('RATE_LIMIT_IP_PER_MIN', DEFAULT_IP_RATE_LIMITS.perMinute),
+  dailyRows: numberEnv('QUOTA_IP_DAILY_ROWS', DEFAULT_IP_RATE_LIMITS.dailyRows),
+  dailyCells: numberEnv('QUOTA_IP_DAILY_CELLS', DEFAULT_IP_RATE_LIMITS.dailyCells)
+};
+// Proxies in front of the server that append to X-Forwarded-For (Code Engine's
+// ingress is one). req.ip, and so the per-IP limits, use the address the
+// outermost of them saw; entries a client wrote itself are ignored.
+const TRUST_PROXY_HOPS = numberEnv('TRUST_PROXY_HOPS', 1);
+app.set('trust proxy', TRUST_PROXY_HOPS);
+// How long a SIGTERM waits for open requests and queued analytics before exiting
+const SHUTDOWN_TIMEOUT_MS = numberEnv('SHUTDOWN_TIMEOUT_MS', 10000);
+// Upper bound for a single model call (0 disables)
+const LLM_TIMEOUT_MS = process.env.LLM_TIMEOUT_MS !== undefined ? Number(process.env.LLM_TIMEOUT_MS) : 120000;
+// /readyz also fetches an IAM token when this is set (cached, so cheap after the first probe)
+const READY_CHECK_IAM = process.env.READY_CHECK_IAM === 'true' || process.env.READY_CHECK_IAM === '1';
+// Comma-separated directories with fallback domain packs (.json / .js)
+const DOMAIN_PACKS_DIR = process.env.DOMAIN_PACKS_DIR || path.join(__dirname, 'domains');
+
+// Comma-separated directories with prompt templates (lib/prompts.js); a later
+// directory can replace a version or add new ones
+const PROMPTS_DIR = process.env.PROMPTS_DIR || DEFAULT_PROMPTS_DIR;
+
+// UPSTREAM_FIXTURES=record saves every IAM and watsonx call to
+// UPSTREAM_FIXTURES_DIR; =replay answers them from there without any network
+// access (lib/fixtures.js). Other providers are not affected. The default
+// directory, fixtures/, is git-ignored.
+const fixtures = process.env.UPSTREAM_FIXTURES
+  ? createUpstreamFixtures({
+      mode: process.env.UPSTREAM_FIXTURES,
+      dir: process.env.UPSTREAM_FIXTURES_DIR || path.join(__dirname, 'fixtures')
+    })
+  : null;
+const iamFetch = fixtures ? fixtures.fetchFor('iam') : undefined;
+// Replay never reaches IAM and fixtures leave the key out of their hash, so it
+// runs without credentials: a placeholder stands in for WATSON_API_KEY
+const SERVER_API_KEY = WATSON_API_KEY || (fixtures && fixtures.mode === 'replay' ? 'replay' : undefined);
+
+const domains = loadDomainPacks(DOMAIN_PACKS_DIR.split(',').map(d => d.trim()).filter(Boolean));
+const prompts = loadPromptTemplates(PROMPTS_DIR.split(',').map(d => d.trim()).filter(Boolean));
+
+const tokenManager = createTokenManager({
+  apiKey: SERVER_API_KEY,
+  iamUrl: IAM_URL,
+  refreshMarginSec: IAM_REFRESH_MARGIN_SEC,
+  fetch: iamFetch
+});
 
-// Debug logging
-console.log('=== ENVIRONMENT VARIABLES DEBUG ===');
-console.log('WATSON_API_KEY exists:', !!WATSON_API_KEY);
-console.log('WATSON_API_KEY length:', WATSON_API_KEY ? WATSON_API_KEY.length : 0);
-console.log('WATSON_API_KEY first 10 chars:', WATSON_API_KEY ? WATSON_API_KEY.substring(0, 10) + '...' : 'undefined');
-console.log('PROJECT_ID:', PROJECT_ID);
-console.log('=====================================');
+// LLM_PROVIDER / LLM_MODEL pick the default backend; LLM_ALLOWED_MODELS lists
+// the provider:model pairs a request may ask for instead. Client-supplied watsonx
+// endpoints must be a watsonx.ai region or listed in WATSONX_ALLOWED_ENDPOINTS.
+const llm = createProviderRegistry({
+  env: process.env,
+  tokenManager,
+  projectId: PROJECT_ID,
+  timeoutMs: LLM_TIMEOUT_MS,
+  watsonxFetch: fixtures ? fixtures.fetchFor('watsonx') : undefined
+});
 
-app.use(cors());
-app.use(express.json({ limit: '200kb' }));
+const schemas = createRequestSchemas(LIMITS, { domains });
 
-// Proxy endpoint for getting IAM token
-app.post('/token', async (req, res) => {
-  try {
-    // Use API key from environment variable or request body
-    const apiKey = WATSON_API_KEY || req.body.apiKey;
-    
-    console.log('=== TOKEN ENDPOINT DEBUG ===');
-    console.log('WATSON_API_KEY from env:', !!WATSON_API_KEY);
-    console.log('apiKey from request body:', !!req.body.apiKey);
-    console.log('Final apiKey to use:', !!apiKey);
-    console.log('apiKey length:', apiKey ? apiKey.length : 0);
-    console.log('============================');
-    
-    const tokenRes = await fetch('https://iam.cloud.ibm.com/identity/token', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Accept': 'application/json'
-      },
-      body: `grant_type=urn:ibm:params:oauth:grant-type:apikey&apikey=${encodeURIComponent(apiKey)}`
-    });
+// In-memory for now; createRateLimiter({ store }) takes any store with the same interface
+const limiter = createRateLimiter({ limits: RATE_LIMITS, ipLimits: IP_RATE_LIMITS });
 
-    if (!tokenRes.ok) {
-      throw new Error(`IAM token request failed: ${tokenRes.status}`);
-    }
+// GA4_COLLECT_URL points analytics at a local stand-in instead of Google
+const analytics = createAnalyticsForwarder({
+  measurementId: process.env.GA4_MEASUREMENT_ID,
+  apiSecret: process.env.GA4_API_SECRET,
+  collectUrl: process.env.GA4_COLLECT_URL || DEFAULT_COLLECT_URL,
+  flushIntervalMs: numberEnv('ANALYTICS_FLUSH_MS', 5000),
+  maxQueue: numberEnv('ANALYTICS_MAX_QUEUE', 5000),
+  maxRetries: numberEnv('ANALYTICS_MAX_RETRIES', 5)
+});
+// ANALYTICS_SINK=ndjson also keeps events and generation requests on disk for
+// GET /analytics/summary, which needs ANALYTICS_ADMIN_TOKEN. The default dir, data/, is git-ignored.
+const ANALYTICS_ADMIN_TOKEN = process.env.ANALYTICS_ADMIN_TOKEN || '';
+const sink = process.env.ANALYTICS_SINK === 'ndjson'
+  ? createNdjsonSink({
+      dir: process.env.ANALYTICS_SINK_DIR || path.join(__dirname, 'data', 'analytics'),
+      maxBytes: numberEnv('ANALYTICS_SINK_MAX_BYTES', 10 * 1024 * 1024),
+      maxFiles: numberEnv('ANALYTICS_SINK_MAX_FILES', 90)
+    })
+  : null;
+// Routes whose outcome and size go to the sink
+const GENERATION_ROUTES = ['/generate', '/generateTable', '/generateDataset', '/extendTable', '/addTableColumn', '/regenerateTableColumn', '/rewriteTableCells'];
+
+metrics.registry.gauge('analytics_queue_events', 'Analytics events waiting to be delivered to GA4', () => analytics.size());
+
+// Settle the request's quota reservation to what it generated; the analytics
+// sink reads it from res.locals when the response finishes
+async function recordUsage(res, reservation, amount) {
+  res.locals.usage = amount;
+  await limiter.settle(reservation, amount);
+}
+
+// The prompt template for a request: its `promptVersion`, else the A/B pick for
+// the client. Its id ("table@v1") goes back in X-Prompt-Version and in the
+// response's promptVersion; the finish handler counts it together with
+// res.locals.parsed (did every model answer parse).
+function choosePrompt(req, res, kind) {
+  const template = prompts.choose(kind, { version: req.body.promptVersion, client: clientKey(req) });
+  res.locals.prompt = template;
+  res.setHeader('X-Prompt-Version', template.id);
+  rememberPrompt(clientKey(req), template.id);
+  return template;
+}
+
+// The template id of each client's latest generation on this instance, oldest
+// first, for analytics events that do not name their own
+const RECENT_PROMPTS_MAX = 10000;
+const recentPrompts = new Map();
+function rememberPrompt(client, id) {
+  recentPrompts.delete(client);
+  recentPrompts.set(client, id);
+  if (recentPrompts.size > RECENT_PROMPTS_MAX) recentPrompts.delete(recentPrompts.keys().next().value);
+}
+
+// A table or edit parsed when no row had to come from the fallback generator
+const parsedAll = (provenance) => !provenance.rows.includes('fallback');
 
-    const tokenData = await tokenRes.json();
-    res.json({ access_token: tokenData.access_token });
+// Admit a generation request and reserve `amount` of the quota, or count its
+// rejection before rethrowing. The reservation is settled by recordUsage, or by
+// settleUnfinished when the request ends without it.
+async function admit(req, res, route, amount) {
+  try {
+    const reservation = await limiter.check(req, amount);
+    res.locals.reservation = reservation;
+    return reservation;
   } catch (error) {
-    console.error('Token proxy error:', error);
-    res.status(500).json({ error: error.message });
+    if (error.limit) metrics.rateLimited.inc({ route, limit: error.limit });
+    throw error;
   }
-});
+}
 
-// Helper to normalize text into an array of strings
-function normalizeToList(text) {
-  if (!text) return [];
-  let t = text.trim();
-  // If it looks like a JSON array, try to parse
-  if ((t.startsWith('[') && t.endsWith(']')) || (t.startsWith('[') && t.includes(']'))) {
-    try {
-      // Replace single quotes with double quotes safely for JSON parsing
-      const jsonLike = t
-        .replace(/(^\s*\[\s*)'([^']*)'/g, '["$2"')
-        .replace(/,'([^']*)'/g, ',"$1"')
-        .replace(/'([^']*)'\s*\]/g, '"$1"]');
-      const arr = JSON.parse(jsonLike);
-      if (Array.isArray(arr)) {
-        return arr.map(x => String(x).trim()).filter(x => x.length > 0);
-      }
-    } catch (e) {
-      // fallthrough to line/CSV parsing
-    }
+// Settle a request that ended without recordUsage (it failed, or its stream was
+// cancelled) to what it generated up to then: res.locals.generated, kept up to
+// date by routes that work in batches. Nothing generated gives the reservation
+// back; giving back more would make every stream free if cancelled just before
+// its end. Called once the route's work is over, not when the client goes away,
+// so a disconnected client is still charged for the batches that finish.
+async function settleUnfinished(res) {
+  const { reservation, generated = { rows: 0, cells: 0 } } = res.locals;
+  if (reservation && !reservation.done) {
+    res.locals.usage = generated;
+    await limiter.settle(reservation, generated).catch(err => log.warn('Cannot settle quota reservation', { err }));
   }
-  // CSV-like: a, b, c
-  if (t.includes(',') && !t.includes('\n')) {
-    return t.split(',').map(s => s.trim()).map(s => s.replace(/^"|"$/g, '').replace(/^'|'$/g, '')).filter(s => s.length > 0);
-  }
-  // Fallback: split by lines
-  return t
-    .split('\n')
-    .map(s => s.replace(/^[-*\d\.)\s]+/, '').trim())
-    .map(s => s.replace(/^"|"$/g, '').replace(/^'|'$/g, ''))
-    .filter(s => s.length > 0);
+  // The request log waits for this before recording an aborted generation
+  res.locals.settled = true;
+  res.emit('settled');
 }
 
-// Proxy endpoint for watsonx text generation
-app.post('/generate', async (req, res) => {
-  try {
-    const { endpoint, accessToken, prompt, count } = req.body;
-    
-    const genUrl = `${endpoint.replace(/\/$/, '')}/ml/v1/text/chat?version=2023-05-29`;
-    const wxBody = {
-      messages: [
-    {
-      role: "system",
-      content: "You are a helpful assistant that generates domain-specific lists."
-    },
-    {
-      role: "user",
-      content: `Generate exactly ${count} unique, realistic ${prompt} values.
-Output only a JSON array of strings, with no commentary, no numbering, no placeholders like single letters.
-Each item should be 2-4 words and domain-relevant.`
-    }
-  ],
-      parameters: {
-        decoding_method: 'sample',
-        temperature: 0.85,
-        top_p: 0.9,
-        top_k: 50,
-        repetition_penalty: 1.1,
-        max_new_tokens: 128
-      },
-      model_id: MODEL_ID,
-      project_id: PROJECT_ID
-    };
+log.info('Configuration loaded', {
+  watsonApiKeySet: !!WATSON_API_KEY,
+  projectId: PROJECT_ID,
+  iamUrl: IAM_URL,
+  llmProvider: llm.defaultProvider,
+  logLevel: log.level,
+  limits: LIMITS,
+  rateLimits: RATE_LIMITS,
+  ipRateLimits: IP_RATE_LIMITS,
+  upstreamFixtures: fixtures ? { mode: fixtures.mode, dir: fixtures.dir } : null
+});
 
-    const genRes = await fetch(genUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${accessToken}`
-      },
-      body: JSON.stringify(wxBody)
+// 4xx are the client's problem and logged as warnings; everything else is an error
+const logFailure = (msg, error) => log[normalizeError(error).status < 500 ? 'warn' : 'error'](msg, { err: error });
+
+// Request ID: taken from X-Request-Id when the caller sends a sane one, echoed
+// back in the response header and added to every log line for the request
+const REQUEST_ID_RE = /^[A-Za-z0-9._-]{1,64}$/;
+const PROBE_ROUTES = ['/healthz', '/readyz', '/metrics'];
+app.use((req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  const startedAt = Date.now();
+  // Once per request: when the response is sent, or with status "aborted" when
+  // the client goes away first. An aborted generation is recorded once its
+  // route is done with it, so the sink gets what it was charged.
+  const routeOf = () => (req.route ? req.route.path : 'unmatched');
+  let recorded = false;
+  const record = (status) => {
+    if (recorded) return;
+    recorded = true;
+    // Route patterns, not raw paths, so unknown URLs cannot create new series
+    const route = routeOf();
+    metrics.httpRequests.inc({ method: req.method, route, status });
+    metrics.httpDuration.since({ method: req.method, route }, startedAt);
+    // Probes and scrapes arrive every few seconds; keep them out of the info log
+    const level = PROBE_ROUTES.includes(route) ? 'debug' : 'info';
+    log[level](status === 'aborted' ? 'Request aborted' : 'Request completed', {
+      requestId,
+      method: req.method,
+      path: req.path,
+      status,
+      durationMs: Date.now() - startedAt
     });
-
-    if (!genRes.ok) {
-      const errorText = await genRes.text();
-      throw new Error(`watsonx error: ${genRes.status} ${errorText}`);
+    const { prompt, parsed } = res.locals;
+    if (prompt && parsed !== undefined) metrics.promptGenerations.inc({ prompt: prompt.id, parsed: String(parsed) });
+    if (sink && GENERATION_ROUTES.includes(route)) {
+      // The same anonId the request was rate limited under (body, X-Anon-Id or ?anonId)
+      sink.writeGeneration({
+        route,
+        status,
+        anonId: anonIdOf(req),
+        ...res.locals.usage,
+        durationMs: Date.now() - startedAt,
+        prompt: prompt && prompt.id,
+        parsed
+      });
     }
+  };
+  res.on('finish', () => record(res.statusCode));
+  res.on('close', () => {
+    if (res.writableFinished) return;
+    if (GENERATION_ROUTES.includes(routeOf()) && !res.locals.settled) res.once('settled', () => record('aborted'));
+    else record('aborted');
+  });
+  withContext({ requestId }, next);
+});
 
-    const genData = await genRes.json();
-    
-    // Ensure the response is correctly extracted
-    let text = '';
-    if (genData.choices && genData.choices[0] && genData.choices[0].message) {
-      text = genData.choices[0].message.content;
-    } else if (Array.isArray(genData.results) && genData.results[0]?.generated_text) {
-      text = genData.results[0].generated_text;
-    } else {
-      text = String(genData.output || '');
+app.use(cors({ exposedHeaders: ['X-Request-Id', 'X-Prompt-Version'] }));
+app.use(express.json({ limit: '200kb' }));
+
+// Liveness: the process is up and serving requests
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptimeSec: Math.round(process.uptime()) });
+});
+
+// Readiness: the configuration is usable and, with READY_CHECK_IAM, IAM hands out tokens
+app.get('/readyz', async (req, res) => {
+  const checks = {};
+
+  const problems = [];
+  if (llm.defaultProvider === 'watsonx' && !PROJECT_ID) problems.push('PROJECT_ID is not set');
+  if (!domains.list().length) problems.push('no fallback domain packs loaded');
+  for (const kind of ['list', 'table']) {
+    if (!prompts.has(kind)) problems.push(`no ${kind} prompt template loaded`);
+  }
+  checks.config = problems.length ? { ok: false, problems } : { ok: true };
+
+  if (READY_CHECK_IAM && tokenManager.configured) {
+    try {
+      await tokenManager.getToken();
+      checks.iam = { ok: true };
+    } catch (error) {
+      log.warn('Readiness IAM check failed', { err: error });
+      checks.iam = { ok: false, code: normalizeError(error).code };
     }
+  } else {
+    checks.iam = { ok: true, skipped: true };
+  }
+
+  const ready = Object.values(checks).every(c => c.ok);
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.registry.render());
+});
 
-    // Debug: Log the extracted text
-    console.log('=== DEBUG: Extracted text from watsonx.ai response ===');
-    console.log(text);
-    console.log('=== END DEBUG ===');
-
-    // Pass the extracted text to normalizeToList
-    let list = normalizeToList(text);
-    // Ensure we have at least 'count' values by cycling
-    if (list.length === 0) list = [];
-    if (list.length < count) {
-      const needed = count - list.length;
-      for (let i = 0; i < needed; i++) list.push(list[i % Math.max(1, list.length)] || '');
+// Proxy endpoint for getting IAM token
+app.post('/token', async (req, res) => {
+  try {
+    validateBody(schemas.token, req.body);
+    // Use API key from environment variable or request body
+    const apiKey = SERVER_API_KEY || req.body.apiKey;
+    if (!apiKey) {
+      throw httpError('MISSING_CREDENTIALS', 'apiKey is required when the server has no WATSON_API_KEY');
     }
-    list = list.slice(0, count);
+    log.debug('Token requested', { keySource: SERVER_API_KEY ? 'server' : 'request' });
 
-    res.json({ data: list });
+    // The server's own key goes through the shared cache; a key from the body is exchanged directly
+    const accessToken = SERVER_API_KEY
+      ? await tokenManager.getToken()
+      : (await requestIamToken(apiKey, IAM_URL, iamFetch)).access_token;
+    res.json({ access_token: accessToken });
   } catch (error) {
-    console.error('Generate proxy error:', error);
-    res.status(500).json({ error: error.message });
+    logFailure('Token proxy error', error);
+    sendError(res, error);
   }
 });
 
-// Proxy endpoint to generate a full table (headers + rows)
-app.post('/generateTable', async (req, res) => {
+// Proxy endpoint for list generation through the configured LLM provider.
+// Returns `count` distinct values, or fewer with a `warning` explaining why.
+app.post('/generate', async (req, res) => {
   try {
-    const { endpoint, accessToken, prompt, rows, cols } = req.body;
-
-    const genUrl = `${endpoint.replace(/\/$/, '')}/ml/v1/text/chat?version=2023-05-29`;
-    const headersPlaceholder = Array.from({ length: cols }, (_, i) => `"Header${i + 1}"`).join(", ");
-const rowsPlaceholder = Array.from({ length: rows }, (_, r) => {
-  const colsStr = Array.from({ length: cols }, (_, c) => `"Row${r + 1}Col${c + 1}"`).join(", ");
-  return `[${colsStr}]`;
-}).join(",\n    ");
-
-    const schemaInstruction = `You are generating a table for the given prompt.
+    validateBody(schemas.generate, req.body, crossChecks.generate);
+    const { endpoint, accessToken, prompt, count, maxLength, minWords, maxWords } = req.body;
+    const locale = resolveLocale(req.body.locale);
+    const { provider, model } = llm.resolve(req.body);
+    const template = choosePrompt(req, res, 'list');
+    const reservation = await admit(req, res, '/generate', { rows: count, cells: count });
+
+    const { items, warning, unparsed } = await generateList({
+      provider,
+      model,
+      endpoint,
+      accessToken,
+      prompt,
+      count,
+      maxLength,
+      minWords,
+      maxWords,
+      locale,
+      template,
+      maxTopUps: GENERATE_MAX_TOP_UPS
+    });
 
-IMPORTANT: You must return ONLY a valid JSON object with this exact structure:
+    res.locals.parsed = unparsed === 0;
+    await recordUsage(res, reservation, { rows: items.length, cells: items.length });
+    if (warning) log.warn('Generate returned fewer values than requested', { warning, count, returned: items.length });
+    res.json({ data: items, ...(warning && { warning }), promptVersion: template.id });
+  } catch (error) {
+    logFailure('Generate proxy error', error);
+    sendError(res, error);
+  } finally {
+    await settleUnfinished(res);
+  }
+});
 
-{
-  "headers": ["Header1", "Header2", ..., "Header${cols}"],
-  "rows": [
-    ["Value1", "Value2", ..., "Value${cols}"],
-    ... ${rows} total rows, each with exactly ${cols} items ...
-  ]
+// Answer with a table in the requested `format` (default json, which sends `json`
+// as is). `filename` turns the response into a download.
+function sendTable(res, { format = 'json', filename }, table, json) {
+  if (format === 'json') {
+    if (filename) res.attachment(downloadName(filename, 'json'));
+    return res.json(json);
+  }
+  const out = exportTable(format, table, filename);
+  if (out.filename) res.attachment(out.filename);
+  res.type(out.contentType).send(out.body);
 }
 
-CRITICAL RULES:
-- Return ONLY the JSON object above, nothing else
-- Headers: exactly ${cols} plain text labels (1-3 words each)
-- Rows: exactly ${rows} rows
-- Each row: exactly ${cols} plain text values (1-4 words each)
-- NO nested objects, NO arrays inside cells, NO key:value pairs
-- NO markdown, NO commentary, NO code fences
-- If you cannot follow this format, return: {"headers": [], "rows": []}
-
-Prompt context: ${prompt}`;
-
-    // Debug: Log the complete prompt being sent to watsonx.ai
-    console.log('=== DEBUG: Complete prompt sent to watsonx.ai ===');
-    console.log(schemaInstruction);
-    console.log('=== END DEBUG ===');
-
-    const wxBody = {
-      messages: [
-    {
-      role: "system",
-      content: "You are a strict JSON table generator."
-    },
-    {
-      role: "user",
-      content: schemaInstruction
-    }
-  ],
-      parameters: {
-        decoding_method: 'sample',
-        temperature: 0.8,
-        top_p: 0.9,
-        top_k: 50,
-        repetition_penalty: 1.05,
-        max_new_tokens: 256
-      },
-      model_id: MODEL_ID,
-      project_id: PROJECT_ID
+// Proxy endpoint to generate a full table (headers + rows).
+// Large tables are generated in batches; with `stream: true` (or an
+// `Accept: text/event-stream` header) each batch is sent as it completes.
+app.post('/generateTable', async (req, res) => {
+  let stream = null;
+  try {
+    validateBody(schemas.generateTable, req.body, crossChecks.generateTable);
+    const { endpoint, accessToken, prompt, rows, columns, seed, domain } = req.body;
+    let { cols } = req.body;
+    const locale = resolveLocale(req.body.locale);
+
+    // Optional typed column schema: fixes the headers and validates every cell
+    const schema = columns ? normalizeColumns(columns, locale) : null;
+    if (schema) cols = schema.length;
+
+    const { provider, model } = llm.resolve(req.body);
+    const template = choosePrompt(req, res, 'table');
+    const reservation = await admit(req, res, '/generateTable', { rows, cells: rows * cols });
+
+    const options = {
+      provider,
+      model,
+      endpoint,
+      accessToken,
+      prompt,
+      rows,
+      cols,
+      schema,
+      seed,
+      domains,
+      domain,
+      locale,
+      template,
+      batchSize: TABLE_BATCH_ROWS,
+      maxNewTokens: TABLE_MAX_NEW_TOKENS,
+      maxRepairs: TABLE_MAX_REPAIRS,
+      onBatch: async (batch) => {
+        res.locals.generated = { rows: batch.generated, cells: batch.generated * cols };
+      }
     };
 
-    // Debug: Log the request body being sent to watsonx.ai
-    console.log('=== DEBUG: Request body sent to watsonx.ai ===');
-    console.log(JSON.stringify(wxBody, null, 2));
-    console.log('=== END DEBUG ===');
-
-    const genRes = await fetch(genUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${accessToken}`
-      },
-      body: JSON.stringify(wxBody)
+    if (!wantsEventStream(req)) {
+      const table = await generateTable(options);
+      res.locals.parsed = parsedAll(table.provenance);
+      await recordUsage(res, reservation, { rows: table.rows.length, cells: table.rows.length * cols });
+      return sendTable(res, req.body, { headers: table.headers, rows: table.rows, schema, name: prompt }, {
+        headers: table.headers,
+        rows: table.rows,
+        provenance: table.provenance,
+        // The fallback seed used, so the same request can be repeated
+        seed: table.seed,
+        promptVersion: template.id
+      });
+    }
+
+    stream = openEventStream(res);
+    const startedAt = Date.now();
+    const table = await generateTable({
+      ...options,
+      signal: stream.signal,
+      isCancelled: () => stream.closed,
+      onBatch: async (batch) => {
+        await options.onBatch(batch);
+        if (batch.index === 0) stream.send('headers', { headers: batch.headers, sources: batch.headerSources });
+        stream.send('rows', {
+          index: batch.index,
+          startRow: batch.startRow,
+          rows: batch.rows,
+          source: batch.source,
+          syntheticCells: batch.syntheticCells
+        });
+        stream.send('progress', { generated: batch.generated, total: batch.total });
+      }
     });
 
-    if (!genRes.ok) {
-      const errorText = await genRes.text();
-      throw new Error(`watsonx error: ${genRes.status} ${errorText}`);
+    await recordUsage(res, reservation, { rows: table.rows.length, cells: table.rows.length * cols });
+    if (table.cancelled) {
+      log.info('GenerateTable stream cancelled by client', { generated: table.rows.length, total: rows });
+      return;
     }
+    res.locals.parsed = parsedAll(table.provenance);
+    stream.send('done', {
+      headers: table.headers,
+      provenance: table.provenance,
+      totalRows: table.rows.length,
+      batches: table.batches,
+      modelRows: table.modelRows,
+      fallbackRows: table.fallbackRows,
+      durationMs: Date.now() - startedAt,
+      seed: table.seed,
+      promptVersion: template.id,
+      // The whole table in the requested format, for clients that want the file
+      ...(req.body.format && req.body.format !== 'json' && {
+        export: exportTable(req.body.format, { headers: table.headers, rows: table.rows, schema, name: prompt }, req.body.filename)
+      })
+    });
+    stream.end();
+  } catch (error) {
+    if (stream) {
+      if (stream.closed) return;
+      logFailure('GenerateTable stream error', error);
+      stream.send('error', errorBody(error));
+      return stream.end();
+    }
+    logFailure('GenerateTable proxy error', error);
+    sendError(res, error);
+  } finally {
+    await settleUnfinished(res);
+  }
+});
 
-    const genData = await genRes.json();
-    let text = '';
+// Edits of a table the client already has ({ headers, rows } in the body, see
+// lib/edit.js). `usage(body)` is what the edit generates, for the rate limiter.
+// `prepare(body, locale)` checks the request and returns the edit's own options,
+// before any quota is used; `edit(options)` then runs with those and the shared
+// model and fallback options. Answers with the whole edited table and its
+// provenance, in `format`.
+function editTableRoute(route, schema, { usage, prepare = () => ({}), edit }) {
+  return async (req, res) => {
+    try {
+      validateBody(schema, req.body, crossChecks.editTable);
+      const { endpoint, accessToken, prompt, headers, rows, seed, domain } = req.body;
+      const locale = resolveLocale(req.body.locale);
+      const extra = prepare(req.body, locale);
+      const { provider, model } = llm.resolve(req.body);
+      const template = choosePrompt(req, res, 'table');
+      const amount = usage(req.body);
+      const reservation = await admit(req, res, route, amount);
+
+      const table = await edit({
+        provider,
+        model,
+        endpoint,
+        accessToken,
+        prompt,
+        table: { headers, rows },
+        seed,
+        domains,
+        domain,
+        locale,
+        template,
+        batchSize: TABLE_BATCH_ROWS,
+        maxNewTokens: TABLE_MAX_NEW_TOKENS,
+        maxRepairs: TABLE_MAX_REPAIRS,
+        ...extra
+      });
 
-    // New extraction logic for the chat endpoint
-    if (genData.results && genData.results[0] && genData.results[0].generated_text) {
-      text = genData.results[0].generated_text;
-    } else if (genData.choices && genData.choices[0] && genData.choices[0].message) {
-      text = genData.choices[0].message.content;
-    } else {
-      console.log('Unexpected response structure:', JSON.stringify(genData, null, 2));
-      throw new Error('Unexpected response structure from watsonx.ai');
+      res.locals.parsed = parsedAll(table.provenance);
+      await recordUsage(res, reservation, amount);
+      sendTable(res, req.body, { headers: table.headers, rows: table.rows, name: prompt }, { ...table, promptVersion: template.id });
+    } catch (error) {
+      logFailure(`Edit table error (${route})`, error);
+      sendError(res, error);
+    } finally {
+      await settleUnfinished(res);
     }
+  };
+}
 
-    // Debug: Log the extracted text
-    console.log('=== DEBUG: Extracted text from watsonx.ai response ===');
-    console.log(text);
-    console.log('=== END DEBUG ===');
-
-    // Continue with your existing cleanup and JSON parsing steps...
-    let headers = [];
-    let bodyRows = [];
+const editError = (field, message) => httpError('VALIDATION_FAILED', message, [{ field, message }]);
+
+// `schema` in the order of `headers`, matched by name (case-insensitive), so
+// every cell is checked against its own column
+function schemaForHeaders(schema, headers) {
+  const byName = new Map(schema.map(col => [col.name.toLowerCase(), col]));
+  const missing = headers.filter(h => !byName.has(String(h).trim().toLowerCase()));
+  if (missing.length) throw editError('columns', `columns must describe every header of the table; missing: ${missing.map(h => `"${h}"`).join(', ')}`);
+  const names = new Set(headers.map(h => String(h).trim().toLowerCase()));
+  const extra = schema.filter(col => !names.has(col.name.toLowerCase()));
+  if (extra.length) throw editError('columns', `columns must only describe headers of the table; unknown: ${extra.map(col => `"${col.name}"`).join(', ')}`);
+  return headers.map(h => ({ ...byName.get(String(h).trim().toLowerCase()), name: h }));
+}
 
-    // Try to parse a JSON object first
-    try {
-      // Clean common junk: code fences, stray backticks, trailing prose
-      let cleaned = text.trim().replace(/^```[a-zA-Z]*\n|```$/g, '').trim();
-      
-      // Debug: Log the cleaned text before parsing
-      console.log('=== DEBUG: Cleaned text before JSON parsing ===');
-      console.log(cleaned);
-      console.log('=== END DEBUG ===');
-      
-      // Attempt direct JSON parse
-      let obj;
-      try { 
-        obj = JSON.parse(cleaned); 
-      } catch(parseError) {
-        console.log('=== DEBUG: Initial JSON parse failed, attempting cleanup ===');
-        
-        // Fix common JSON issues
-        const normalized = cleaned
-          .replace(/"?([a-zA-Z0-9_\s]+)"?\s*:/g, '"$1":') // ensure keys are quoted
-          .replace(/(^|[^\\])'(.*?)'(?=[,\]\}])/g, (m, p1, p2) => `${p1}"${p2}"`) // fix single quotes
-          .replace(/,\s*([\]\}])/g, '$1') // remove trailing commas
-          .replace(/\["([^"]*):\s*([^"]*)"\]/g, '["$1", "$2"]') // fix broken key:value arrays
-          .replace(/\["([^"]*):\s*([^"]*)"\]/g, '["$1", "$2"]') // fix more broken patterns
-          .replace(/\["([^"]*):\s*([^"]*)"\]/g, '["$1", "$2"]'); // fix more broken patterns
-        
-        console.log('=== DEBUG: Normalized text ===');
-        console.log(normalized);
-        console.log('=== END DEBUG ===');
-        
-        try {
-          obj = JSON.parse(normalized);
-        } catch(secondError) {
-          console.log('=== DEBUG: Second JSON parse also failed ===');
-          console.log('First error:', parseError.message);
-          console.log('Second error:', secondError.message);
-          console.log('=== END DEBUG ===');
-          throw new Error('Failed to parse JSON after cleanup');
-        }
-      }
-      
-      if (obj && Array.isArray(obj.headers) && Array.isArray(obj.rows)) {
-        // Validate and clean the data
-        headers = obj.headers
-          .map(x => String(x))
-          .filter(x => x && x.trim() && !x.includes('[') && !x.includes('{')) // filter out malformed entries
-          .slice(0, cols);
-        
-        // bodyRows = obj.rows
-        //   .map(r => Array.isArray(r) ? r.map(x => String(x)) : [])
-        //   .filter(row => row.length === cols) // only keep rows with correct column count
-        //   .slice(0, rows);
-
-          bodyRows = obj.rows
-          .map(r => Array.isArray(r) ? r.map(x => String(x)) : [])
-          .map(r => r.length > cols ? r.slice(0, cols) : r.concat(Array(cols - r.length).fill("")))
-          .filter(row => row.length > 0) // keep non-empty
-          .slice(0, rows);
-        
-        console.log('=== DEBUG: Parsed and cleaned data ===');
-        console.log('Headers:', headers);
-        console.log('Rows:', bodyRows);
-        console.log('=== END DEBUG ===');
-      }
-    } catch (e) {
-      console.log('=== DEBUG: JSON parsing completely failed ===');
-      console.log('Error:', e.message);
-      console.log('=== END DEBUG ===');
-      // Fallback below
+// Append `count` rows that fit the existing ones
+app.post('/extendTable', editTableRoute('/extendTable', schemas.extendTable, {
+  usage: ({ headers, count }) => ({ rows: count, cells: count * headers.length }),
+  prepare: (body, locale) => {
+    if (body.rows.length + body.count > LIMITS.maxTableRows) {
+      throw editError('count', `The extended table would have more than ${LIMITS.maxTableRows} rows`);
+    }
+    return { count: body.count, schema: body.columns ? schemaForHeaders(normalizeColumns(body.columns, locale), body.headers) : null };
+  },
+  edit: extendTable
+}));
+
+// Add the column `column` at `index` (default: last), filled for every row
+app.post('/addTableColumn', editTableRoute('/addTableColumn', schemas.addTableColumn, {
+  usage: ({ rows }) => ({ cells: rows.length }),
+  prepare: (body, locale) => {
+    if (body.headers.length >= LIMITS.maxTableCols) {
+      throw editError('column', `The table would have more than ${LIMITS.maxTableCols} columns`);
     }
+    const [col] = normalizeColumns([body.column], locale);
+    checkColumn(body, col.name, false);
+    return { col, index: body.index };
+  },
+  edit: addColumn
+}));
+
+// Replace every value of the existing column `column`
+app.post('/regenerateTableColumn', editTableRoute('/regenerateTableColumn', schemas.regenerateTableColumn, {
+  usage: ({ rows }) => ({ cells: rows.length }),
+  prepare: (body, locale) => {
+    const [col] = normalizeColumns([body.column], locale);
+    checkColumn(body, col.name, true);
+    return { col };
+  },
+  edit: regenerateColumn
+}));
+
+// Rewrite the [row, col] `cells`; every other cell is returned unchanged
+app.post('/rewriteTableCells', editTableRoute('/rewriteTableCells', schemas.rewriteTableCells, {
+  usage: ({ cells }) => ({ cells: cells.length }),
+  prepare: (body) => {
+    checkCells(body, body.cells);
+    return { cells: body.cells };
+  },
+  edit: rewriteCells
+}));
+
+// Several related tables in one call (see lib/dataset.js): referenced tables
+// are generated first and every foreign key points at one of their rows.
+app.post('/generateDataset', async (req, res) => {
+  try {
+    validateBody(schemas.generateDataset, req.body);
+    const { endpoint, accessToken, prompt, tables, seed } = req.body;
+    const locale = resolveLocale(req.body.locale);
+    const plan = planDataset(tables, { tableSchema: schemas.datasetTable, locale, maxRows: LIMITS.maxTableRows });
+    const { provider, model } = llm.resolve(req.body);
+    const template = choosePrompt(req, res, 'table');
+    const amount = plan.reduce((sum, spec) => ({
+      rows: sum.rows + spec.rows,
+      cells: sum.cells + spec.rows * spec.schema.length
+    }), { rows: 0, cells: 0 });
+    const reservation = await admit(req, res, '/generateDataset', amount);
+
+    const dataset = await generateDataset({
+      provider,
+      model,
+      endpoint,
+      accessToken,
+      prompt,
+      plan,
+      seed,
+      domains,
+      locale,
+      template,
+      batchSize: TABLE_BATCH_ROWS,
+      maxNewTokens: TABLE_MAX_NEW_TOKENS,
+      maxRepairs: TABLE_MAX_REPAIRS
+    });
 
-    // Fallback: synthesize headers and rows if parsing failed
-    if (headers.length !== cols) {
-      console.log('=== DEBUG: Using fallback header generation ===');
-      // Generate sensible headers based on the prompt and ensure exact column count
-      const promptLower = prompt.toLowerCase();
-
-      const userBase = ['User ID', 'Name', 'Email', 'Role', 'Department', 'Status'];
-      const userExtras = ['Username', 'Phone', 'Location', 'Manager', 'Last Login', 'Created At', 'Country', 'City'];
-
-      const productBase = ['Product ID', 'Name', 'Category', 'Price', 'Stock', 'Rating'];
-      const productExtras = ['SKU', 'Brand', 'Color', 'Weight', 'Dimensions', 'Release Date', 'Supplier', 'Warehouse'];
-
-      const orderBase = ['Order ID', 'Customer', 'Product', 'Quantity', 'Price', 'Date'];
-      const orderExtras = ['Status', 'Shipping Address', 'Payment Method', 'Tracking No', 'Sales Rep', 'Discount', 'Tax', 'Total'];
-
-      const perfBase = ['Application', 'Hostname', 'Method', 'Start Time', 'Response Time (ms)', 'Load Time (ms)', 'Downtime (min)', 'Status'];
-      const perfExtras = ['Region', 'SLA (%)', 'Error Rate (%)', 'CPU (%)', 'Memory (%)', 'Disk (%)', 'Endpoint', 'Env'];
-
-      let proposed = [];
-      if (promptLower.includes('user') || promptLower.includes('management')) {
-        proposed = [...userBase, ...userExtras];
-      } else if (promptLower.includes('product')) {
-        proposed = [...productBase, ...productExtras];
-      } else if ((promptLower.includes('order') || promptLower.includes('sales'))) {
-        proposed = [...orderBase, ...orderExtras];
-      } else if (promptLower.includes('performance') || promptLower.includes('downtime') || promptLower.includes('uptime')) {
-        proposed = [...perfBase, ...perfExtras];
-      } else {
-        proposed = [];
-      }
+    res.locals.parsed = dataset.tables.every(table => parsedAll(table.provenance));
+    await recordUsage(res, reservation, amount);
+    res.json({ ...dataset, promptVersion: template.id });
+  } catch (error) {
+    logFailure('GenerateDataset error', error);
+    sendError(res, error);
+  } finally {
+    await settleUnfinished(res);
+  }
+});
 
-      // Trim or pad to exactly cols
-      if (proposed.length >= cols) {
-        headers = proposed.slice(0, cols);
-      } else {
-        headers = [...proposed];
-        while (headers.length < cols) headers.push(`Column ${headers.length + 1}`);
-      }
+// Remaining daily allowance and request rate for the caller (anonId query
+// parameter or X-Anon-Id header, otherwise the client IP)
+app.get('/quota', async (req, res) => {
+  try {
+    res.json(await limiter.status(req));
+  } catch (error) {
+    logFailure('Quota error', error);
+    sendError(res, error);
+  }
+});
 
-      console.log('=== DEBUG: Generated fallback headers ===');
-      console.log(headers);
-      console.log('=== END DEBUG ===');
+// Realistic mock table without any model call. The same seed, headers/domain
+// and row count always give the same table; the seed used is returned.
+app.post('/fallbackTable', (req, res) => {
+  try {
+    validateBody(schemas.fallbackTable, req.body);
+    const { seed, headers, domain, prompt, rows, columns, referenceDate } = req.body;
+
+    const locale = resolveLocale(req.body.locale);
+    const fallback = createFallbackGenerator({ seed, referenceDate, domains, domain, prompt, locale });
+    let tableHeaders;
+    let bodyRows;
+    let schema = null;
+    if (columns) {
+      schema = normalizeColumns(columns, locale);
+      tableHeaders = schema.map(col => col.name);
+      bodyRows = applySchema(schema, Array.from({ length: rows }, () => []), { values: fallback.values }).rows;
+    } else {
+      tableHeaders = Array.isArray(headers) && headers.length
+        ? headers.map(h => String(h))
+        : fallback.headers(req.body.cols);
+      bodyRows = fallback.rows(tableHeaders, rows);
     }
 
-    if (bodyRows.length !== rows) {
-      console.log('=== DEBUG: Using fallback row generation ===');
-
-      // Helpers for realistic values
-      const firstNames = ['Liam','Noah','Oliver','Elijah','James','William','Benjamin','Lucas','Henry','Alexander','Emma','Olivia','Ava','Isabella','Sophia','Mia','Charlotte','Amelia','Harper','Evelyn'];
-      const lastNames = ['Smith','Johnson','Williams','Brown','Jones','Garcia','Miller','Davis','Rodriguez','Martinez','Hernandez','Lopez','Gonzalez','Wilson','Anderson','Thomas','Taylor','Moore','Jackson','Martin'];
-      const roles = ['Admin','Manager','Editor','Viewer','Analyst','Developer','Designer','Support'];
-      const departments = ['Engineering','Sales','Marketing','Finance','HR','Operations','Customer Success','IT'];
-      const cities = ['New York','San Francisco','London','Berlin','Paris','Toronto','Sydney','Tokyo'];
-
-      const httpMethods = ['GET','POST','PUT','DELETE','PATCH'];
-      const regions = ['us-east-1','us-west-2','eu-central-1','ap-south-1'];
-      const envs = ['prod','staging','dev'];
-
-      const rand = (arr) => arr[Math.floor(Math.random() * arr.length)];
-      const randomName = () => `${rand(firstNames)} ${rand(lastNames)}`;
-      const usernameFrom = (name) => name.toLowerCase().replace(/[^a-z]+/g,'').slice(0,12);
-      const emailFrom = (name, i) => `${usernameFrom(name)}${i+1}@example.com`;
-      const phone = () => `+1-${Math.floor(200+Math.random()*700)}-${Math.floor(200+Math.random()*700)}-${String(Math.floor(1000+Math.random()*9000))}`;
-      const id = (i) => `USR-${1000 + i}`;
-      const dateRecent = () => {
-        const d = new Date(Date.now() - Math.floor(Math.random()*1000*60*60*24*90));
-        return d.toISOString().slice(0,10);
-      };
-      const timeOfDay = () => {
-        const d = new Date(Date.now() - Math.floor(Math.random()*1000*60*60*24*7));
-        return d.toISOString().replace('T',' ').slice(0,19);
-      };
-      const hostname = (i) => `host${i+1}.example.com`;
-      const endpoint = (i) => `/api/v${1+ (i%3)}/resource/${100 + i}`;
-      const pct = (min,max) => (min + Math.random()*(max-min)).toFixed(1);
-      const int = (min,max) => Math.floor(min + Math.random()*(max-min+1));
-
-      bodyRows = Array.from({ length: rows }, (_, r) => {
-        const name = randomName();
-        const row = [];
-        for (let c = 0; c < cols; c++) {
-          const h = (headers[c] || '').toLowerCase();
-          // User management mapping
-          if (h.includes('user id') || (h === 'id') || (h === 'userid') || (h.includes('id') && !h.includes('order') && !h.includes('product'))) row.push(id(r));
-          else if (h === 'name' || h.includes('full name')) row.push(name);
-          else if (h.includes('username')) row.push(usernameFrom(name));
-          else if (h.includes('email')) row.push(emailFrom(name, r));
-          else if (h.includes('role')) row.push(rand(roles));
-          else if (h.includes('department')) row.push(rand(departments));
-          else if (h.includes('status') && !(h.includes('http') || h.includes('code'))) row.push(r % 2 === 0 ? 'Active' : 'Inactive');
-          else if (h.includes('phone')) row.push(phone());
-          else if (h.includes('location') || h.includes('city')) row.push(rand(cities));
-          else if (h.includes('manager')) row.push(randomName());
-          else if (h.includes('last login')) row.push(dateRecent());
-          else if (h.includes('created')) row.push(dateRecent());
-          else if (h.includes('updated')) row.push(dateRecent());
-          // Performance/downtime mapping
-          else if (h.includes('application')) row.push(`Application ${r+1}`);
-          else if (h.includes('hostname')) row.push(hostname(r));
-          else if (h.includes('method')) row.push(rand(httpMethods));
-          else if (h.includes('start time')) row.push(timeOfDay());
-          else if (h.includes('response time')) row.push(String(int(50, 1200)));
-          else if (h.includes('load time')) row.push(String(int(200, 5000)));
-          else if (h.includes('downtime')) row.push(String(int(0, 120)));
-          else if (h.includes('sla')) row.push(pct(95, 99.99));
-          else if (h.includes('error rate')) row.push(pct(0, 5));
-          else if (h.includes('cpu')) row.push(pct(5, 95));
-          else if (h.includes('memory')) row.push(pct(5, 95));
-          else if (h.includes('disk')) row.push(pct(5, 95));
-          else if (h.includes('endpoint')) row.push(endpoint(r));
-          else if (h.includes('env')) row.push(rand(envs));
-          else if (h.includes('region')) row.push(rand(regions));
-          else if (h === 'status') row.push(int(0,1) ? 'Up' : 'Down');
-          else row.push(`Value ${r + 1}-${c + 1}`);
-        }
-        return row;
-      });
+    sendTable(res, req.body, { headers: tableHeaders, rows: bodyRows, schema, name: prompt || fallback.domain }, {
+      headers: tableHeaders,
+      rows: bodyRows,
+      seed: fallback.seed,
+      domain: fallback.domain,
+      ...(locale && { locale: locale.tag })
+    });
+  } catch (error) {
+    logFailure('FallbackTable error', error);
+    sendError(res, error);
+  }
+});
 
-      console.log('=== DEBUG: Generated fallback rows ===');
-      console.log(bodyRows);
-      console.log('=== END DEBUG ===');
-    }
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Constant-time comparison of the admin token from `Authorization: Bearer` or X-Admin-Token
+function checkAdminToken(req) {
+  const header = req.get('authorization') || '';
+  const given = header.startsWith('Bearer ') ? header.slice(7) : req.get('x-admin-token') || '';
+  const hash = (v) => crypto.createHash('sha256').update(v).digest();
+  if (!given || !crypto.timingSafeEqual(hash(given), hash(ANALYTICS_ADMIN_TOKEN))) {
+    throw httpError('UNAUTHORIZED', 'A valid admin token is required');
+  }
+}
 
-    return res.json({ headers, rows: bodyRows });
+// Usage aggregates from the local analytics sink for the days from..to
+// (YYYY-MM-DD, default: the last 30 days) and the `top` event names
+app.get('/analytics/summary', async (req, res) => {
+  try {
+    if (!sink || !ANALYTICS_ADMIN_TOKEN) {
+      throw httpError('NOT_FOUND', 'Analytics summary is disabled: set ANALYTICS_SINK=ndjson and ANALYTICS_ADMIN_TOKEN');
+    }
+    checkAdminToken(req);
+    const today = new Date().toISOString().slice(0, 10);
+    const { from = new Date(Date.now() - 29 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10), to = today } = req.query;
+    const top = req.query.top === undefined ? undefined : Number(req.query.top);
+    const issues = [];
+    if (!DAY_RE.test(String(from))) issues.push({ field: 'from', message: 'from must be a YYYY-MM-DD date' });
+    if (!DAY_RE.test(String(to))) issues.push({ field: 'to', message: 'to must be a YYYY-MM-DD date' });
+    if (!issues.length && from > to) issues.push({ field: 'from', message: 'from must not be after to' });
+    if (top !== undefined && !(Number.isInteger(top) && top >= 1 && top <= 100)) issues.push({ field: 'top', message: 'top must be an integer from 1 to 100' });
+    if (issues.length) throw httpError('VALIDATION_FAILED', issues.map(i => i.message).join('; '), issues);
+
+    res.json(await summarize(sink, { from, to, top }));
   } catch (error) {
-    console.error('GenerateTable proxy error:', error);
-    res.status(500).json({ error: error.message });
+    logFailure('Analytics summary error', error);
+    sendError(res, error);
   }
 });
 
-app.post('/analytics', async (req, res) => {
+// Prompt templates and their decoding parameters; a request picks one with
+// `promptVersion`, otherwise versions with a `weight` are assigned per client
+app.get('/prompts', (req, res) => {
+  res.json({ prompts: prompts.list() });
+});
+
+// Fallback domain packs, for the plugin's domain picker
+app.get('/domains', (req, res) => {
+  res.json({ domains: domains.list() });
+});
+
+// Analytics events from the plugin: one `event` or a batch in `events`. They are
+// fitted to GA4 and queued here and delivered to GA4 in the background
+// (lib/analytics.js); only a malformed body is rejected.
+// Each event gets a `prompt_version` param so GA4 can compare template variants:
+// the client's own (the promptVersion of the response it is about), else the
+// template of the client's latest generation here; both are ids like "table@v1".
+app.post('/analytics', (req, res) => {
   try {
-    const { event, anonId, props, ts } = req.body || {};
-    
-    if (process.env.GA4_MEASUREMENT_ID && process.env.GA4_API_SECRET) {
-      const ga4Url = `https://www.google-analytics.com/mp/collect?measurement_id=${process.env.GA4_MEASUREMENT_ID}&api_secret=${process.env.GA4_API_SECRET}`;
-      
-      // Get client IP for geographic tracking
-      // Note: X-Forwarded-For header may contain the original client IP from Code Engine
-      const forwardedFor = req.headers['x-forwarded-for'];
-      const clientIp = forwardedFor ? forwardedFor.split(',')[0].trim() : 
-                       req.ip || 
-                       req.connection?.remoteAddress || 
-                       req.socket?.remoteAddress || 
-                       'unknown';
-      
-      // Ensure timestamp is in UTC microseconds (GA4 expects UTC)
-      // Date.now() returns UTC milliseconds, convert to microseconds
-      const utcTimestamp = ts ? String(ts * 1000) : String(Date.now() * 1000);
-      
-      const ga4Payload = {
-        client_id: anonId || 'anon',
-        user_id: props?.user_id || anonId || undefined, // Use user_id for unique user tracking
-        timestamp_micros: utcTimestamp, // UTC microseconds since epoch
-        // Try to use IP override if available (may not work for all GA4 setups)
-        ...(clientIp !== 'unknown' && { ip_override: clientIp }),
-        events: [{
-          name: event || 'event',
-          params: {
-            ...props,
-            // Ensure user_id is set for unique user tracking
-            user_id: props?.user_id || anonId || undefined,
-            // Add session info if available
-            session_id: props?.session_id || anonId + '_' + Math.floor((ts || Date.now()) / (1000 * 60 * 30)), // 30-min sessions
-            // Add timezone info for debugging (optional)
-            server_timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-            server_time: new Date(ts || Date.now()).toISOString(),
-          }
-        }],
-      };
-      
-      const ga4Res = await fetch(ga4Url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(ga4Payload),
-      });
-      
-      if (ga4Res.ok) {
-        console.log(`[analytics] ✅ Sent event "${event}" to GA4 (user: ${anonId?.substring(0, 8)}...)`);
-      } else {
-        const errorText = await ga4Res.text();
-        console.warn(`[analytics] ⚠️ GA4 responded with status ${ga4Res.status}: ${errorText}`);
-      }
-    } else {
-      console.log('[analytics] (dev) event', { event, anonId, props, ts });
-    }
-  } catch (e) {
-    console.warn('[analytics] forward failed', e);
-  } finally {
+    validateBody(schemas.analytics, req.body, crossChecks.analytics);
+    const { events, dropped, issues } = normalizeEvents(req.body);
+    if (issues.length) log.warn('Analytics events did not fit GA4', { dropped, issues: issues.slice(0, 10) });
+    if (dropped) metrics.analyticsForwards.inc({ result: 'invalid' }, dropped);
+    const anonId = anonIdOf(req);
+    analytics.enqueue(events, { anonId, ip: clientIp(req), promptVersion: recentPrompts.get(clientKey(req)) });
+    if (sink) sink.writeEvents(events, { anonId });
+    // 204 as before batching, even when events were dropped; they are counted in
+    // analytics_forwards_total{result="invalid"}, or "dropped" for a full queue
     res.sendStatus(204);
+  } catch (error) {
+    logFailure('Analytics error', error);
+    sendError(res, error);
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`Proxy server running on http://localhost:${PORT}`);
-  console.log('Available endpoints:');
-  console.log('  POST /token - Get IAM access token');
-  console.log('  POST /generate - Generate text with watsonx.ai');
-  console.log('  POST /generateTable - Generate headers + rows with watsonx.ai');
-  console.log('  POST /analytics - Forward analytics events to GA4');
-  console.log(`GA4 Analytics: ${process.env.GA4_MEASUREMENT_ID ? '✅ Configured' : '⚠️ Not configured (dev mode)'}`);
+app.use((req, res) => {
+  sendError(res, httpError('NOT_FOUND', `No route for ${req.method} ${req.path}`));
 });
+
+// Malformed or oversized JSON bodies and anything a route did not catch
+app.use((error, req, res, next) => {
+  logFailure('Unhandled error', error);
+  sendError(res, error);
+});
+
+// Started directly (npm start, the Dockerfile); tests require the app instead
+if (require.main === module) {
+  const server = app.listen(PORT, () => {
+    // Warm the token cache so the first generation does not wait on IAM
+    if (tokenManager.configured) {
+      tokenManager.getToken().catch(err => log.warn('Initial IAM token request failed', { err }));
+    }
+    log.info(`Proxy server running on http://localhost:${PORT}`, {
+      endpoints: [
+        'POST /token - Get IAM access token',
+        'POST /generate - Generate text with watsonx.ai',
+        'POST /generateTable - Generate headers + rows with watsonx.ai (JSON or SSE stream)',
+        'POST /generateDataset - Generate related tables with consistent foreign keys',
+        'POST /extendTable - Append rows to an existing table',
+        'POST /addTableColumn - Add a filled column to an existing table',
+        'POST /regenerateTableColumn - Regenerate one column of an existing table',
+        'POST /rewriteTableCells - Rewrite selected cells of an existing table',
+        'POST /fallbackTable - Generate seeded mock headers + rows (no model)',
+        'GET  /domains - List fallback domain packs',
+        'GET  /quota - Remaining daily quota for the caller',
+        'POST /analytics - Queue analytics events for GA4',
+        'GET  /analytics/summary - Usage aggregates from the local sink (admin token)',
+        'GET  /healthz - Liveness probe',
+        'GET  /readyz - Readiness probe',
+        'GET  /metrics - Prometheus metrics'
+      ],
+      watsonxAuth: tokenManager.configured ? 'server-held IAM token' : 'WATSON_API_KEY not set (clients must send accessToken)',
+      ga4Analytics: analytics.configured ? 'configured' : 'not configured (dev mode)'
+    });
+  });
+
+  // Code Engine sends SIGTERM before it stops an instance: stop taking requests,
+  // let the open ones finish and deliver the queued analytics events, for up to
+  // SHUTDOWN_TIMEOUT_MS
+  const shutdown = (signal) => {
+    log.info('Shutting down', { signal, queuedAnalyticsEvents: analytics.size() });
+    const closed = new Promise(resolve => server.close(resolve));
+    const deadline = new Promise(resolve => setTimeout(resolve, SHUTDOWN_TIMEOUT_MS));
+    // What is queued goes out right away, what the open requests add once they are done
+    const delivered = Promise.all([closed, analytics.flush()]).then(() => Promise.all([analytics.close(), sink && sink.flush()]));
+    Promise.race([delivered, deadline])
+      .catch(err => log.warn('Shutdown did not complete', { err }))
+      .finally(() => process.exit(0));
+  };
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
+}
+
+module.exports = app;
@@ -0,0 +1,86 @@
+// Analytics: body compatibility, names fitted to GA4, per-event timestamps and delivery on close
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { normalizeEvents, createAnalyticsForwarder } = require('../lib/analytics');
+
+test('a single event without a name is sent as "event"', () => {
+  const { events: [event] } = normalizeEvents({ props: { list_size: 3 } });
+  assert.strictEqual(event.name, 'event');
+  assert.deepStrictEqual(event.params, { list_size: 3 });
+});
+
+test('names are fitted to GA4 instead of rejecting the event', () => {
+  const { events, dropped } = normalizeEvents({ event: 'List opened!', props: { 'list size': 3, '2nd-try': true } });
+  assert.strictEqual(dropped, 0);
+  assert.strictEqual(events[0].name, 'List_opened');
+  assert.deepStrictEqual(events[0].params, { list_size: 3, nd_try: true });
+});
+
+test('what cannot be sent is dropped and reported', () => {
+  const { events, dropped, issues } = normalizeEvents({
+    events: [{ event: '' }, { event: 'first_open' }, { event: 'copied', props: { bad: {}, ok: 1 } }, 'nope']
+  });
+  assert.deepStrictEqual(events.map(e => [e.name, e.params]), [['copied', { ok: 1 }]]);
+  assert.strictEqual(dropped, 3);
+  assert.deepStrictEqual(issues.map(i => i.field), ['events[0].event', 'events[1].event', 'events[2].props.bad', 'events[3]']);
+});
+
+// A forwarder posting to a local collect endpoint; `bodies` gets every request
+// body. The first `failures` requests are answered with a 500.
+async function collector(t, { failures = 0 } = {}) {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      bodies.push(JSON.parse(data));
+      res.statusCode = bodies.length <= failures ? 500 : 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const forwarder = createAnalyticsForwarder({
+    measurementId: 'G-TEST',
+    apiSecret: 'secret',
+    collectUrl: `http://127.0.0.1:${server.address().port}/collect`,
+    flushIntervalMs: 60000,
+    retryBaseMs: 60000
+  });
+  t.after(() => forwarder.stop());
+  return { forwarder, bodies };
+}
+
+test('events batched into one GA4 request keep their own timestamps', async (t) => {
+  const { forwarder, bodies } = await collector(t);
+  const now = Date.now();
+  const { events } = normalizeEvents({ events: [{ event: 'opened', ts: now - 5000 }, { event: 'copied', ts: now - 1000 }] }, now);
+  forwarder.enqueue(events, { anonId: 'a1', ip: '203.0.113.7' });
+  await forwarder.flush();
+
+  assert.strictEqual(bodies.length, 1);
+  assert.strictEqual(bodies[0].timestamp_micros, undefined);
+  assert.deepStrictEqual(bodies[0].events.map(e => e.timestamp_micros), [String((now - 5000) * 1000), String((now - 1000) * 1000)]);
+});
+
+test('events carry the server\'s prompt_version unless they name their own', async (t) => {
+  const { forwarder, bodies } = await collector(t);
+  const { events } = normalizeEvents({ events: [{ event: 'opened' }, { event: 'copied', props: { prompt_version: 'table@v2' } }] });
+  forwarder.enqueue(events, { anonId: 'a1', promptVersion: 'table@v1' });
+  await forwarder.flush();
+
+  assert.deepStrictEqual(bodies[0].events.map(e => e.params.prompt_version), ['table@v1', 'table@v2']);
+});
+
+test('close sends a batch waiting for its retry without the backoff', async (t) => {
+  const { forwarder, bodies } = await collector(t, { failures: 1 });
+  forwarder.enqueue(normalizeEvents({ event: 'opened' }).events, { anonId: 'a1' });
+  await forwarder.flush();
+  assert.strictEqual(forwarder.size(), 1);
+
+  await forwarder.close();
+  assert.strictEqual(bodies.length, 2);
+  assert.strictEqual(forwarder.size(), 0);
+});
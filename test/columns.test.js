@@ -0,0 +1,90 @@
+// Column schema: coercion of model cells and synthesis of the ones that fail
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeColumns, coerceCell, applySchema } = require('../lib/columns');
+const { createValues } = require('../lib/values');
+const { resolveLocale } = require('../lib/locales');
+
+const de = resolveLocale('de-DE');
+const column = (def, locale = null) => normalizeColumns([def], locale)[0];
+
+test('integers and decimals are read with grouping and the locale separators', () => {
+  const int = column({ name: 'Units', type: 'integer', min: 0, max: 5000 });
+  assert.strictEqual(coerceCell(int, '1,234'), '1234');
+  assert.strictEqual(coerceCell(int, '12.5'), null);
+  assert.strictEqual(coerceCell(int, '6000'), null);
+  assert.strictEqual(coerceCell(int, 'n/a'), null);
+
+  const dec = column({ name: 'Weight', type: 'decimal', decimals: 1 });
+  assert.strictEqual(coerceCell(dec, '3.14'), '3.1');
+  assert.strictEqual(coerceCell(column({ name: 'Weight', type: 'decimal' }, de), '1.234,5'), de.formatNumber(1234.5, 2));
+  assert.strictEqual(coerceCell(dec, '1.2.3'), null);
+});
+
+test('currency cells keep their sign wherever the model put it', () => {
+  const price = column({ name: 'Price', type: 'currency' });
+  for (const value of ['-$5', '$-5', '-5', '−5', '(5.00)', '$(5)']) {
+    assert.strictEqual(coerceCell(price, value), '-$5.00', value);
+  }
+  assert.strictEqual(coerceCell(price, '$1,234.5'), '$1,234.50');
+  assert.strictEqual(coerceCell(price, '--5'), null);
+  assert.strictEqual(coerceCell(price, '5-3'), null);
+  assert.strictEqual(coerceCell(column({ name: 'Price', type: 'currency', min: 0 }), '-$5'), null);
+  assert.strictEqual(coerceCell(column({ name: 'Preis', type: 'currency' }, de), '-5 €'), de.formatCurrency(-5, 'EUR'));
+});
+
+test('dates must be real days in ISO or the column format', () => {
+  const iso = column({ name: 'Day', type: 'date' });
+  assert.strictEqual(coerceCell(iso, '2024-02-29'), '2024-02-29');
+  assert.strictEqual(coerceCell(iso, '2024-01-05T10:30:00Z'), '2024-01-05');
+  for (const junk of ['Value 1-3', 'Row 2', 'abc 12', '2024-13-45', '2023-02-29', '2024-01-05 and more', 'January 5, 2024']) {
+    assert.strictEqual(coerceCell(iso, junk), null, junk);
+  }
+
+  const local = column({ name: 'Tag', type: 'date' }, de);
+  assert.strictEqual(coerceCell(local, '05.01.2024'), '05.01.2024');
+  assert.strictEqual(coerceCell(local, '2024-01-05'), '05.01.2024');
+  assert.strictEqual(coerceCell(local, '31.02.2024'), null);
+  assert.strictEqual(coerceCell(local, 'Value 1-3'), null);
+
+  const ranged = column({ name: 'Day', type: 'date', min: '2024-01-01', max: '2024-12-31' });
+  assert.strictEqual(coerceCell(ranged, '2025-01-01'), null);
+  assert.throws(() => column({ name: 'Day', type: 'date', min: 'Row 2' }), /columns\[0\]\.min/);
+});
+
+test('enum and id cells must be one of the allowed values', () => {
+  const status = column({ name: 'Status', type: 'enum', values: ['Open', 'Closed'] });
+  assert.strictEqual(coerceCell(status, ' closed '), 'Closed');
+  assert.strictEqual(coerceCell(status, 'Pending'), null);
+
+  const id = column({ name: 'Order ID', type: 'id' });
+  assert.strictEqual(coerceCell(id, 'ORD-1001'), 'ORD-1001');
+  assert.strictEqual(coerceCell(id, 'ord-1001'), null);
+  assert.strictEqual(coerceCell(id, 'Value 1-1'), null);
+});
+
+test('synthesized cells fit their column, including max-only and negative ranges', () => {
+  const defs = [
+    { name: 'Fee', type: 'currency', max: 5 },
+    { name: 'Loss', type: 'integer', max: -5 },
+    { name: 'Ratio', type: 'decimal', min: 1.001, max: 1.019, decimals: 2 },
+    { name: 'Yen', type: 'currency', currency: 'JPY', max: 3 },
+    { name: 'Day', type: 'date', min: '2024-01-01', max: '2024-03-31' },
+    { name: 'Status', type: 'enum', values: ['Open', 'Closed'] },
+    { name: 'Order ID', type: 'id' }
+  ];
+  for (const locale of [null, de]) {
+    const schema = normalizeColumns(defs, locale);
+    const junk = Array.from({ length: 50 }, () => schema.map(() => 'Value 1-3'));
+    const { rows, invalid } = applySchema(schema, junk, { values: createValues({ seed: 7 }) });
+    assert.strictEqual(invalid.length, 50 * schema.length);
+    for (const row of rows) {
+      row.forEach((value, c) => assert.strictEqual(coerceCell(schema[c], value), value, `${schema[c].name}: ${value}`));
+    }
+    assert.strictEqual(new Set(rows.map(row => row[6])).size, rows.length);
+  }
+});
+
+test('a range too narrow for the displayed decimals is rejected', () => {
+  assert.throws(() => column({ name: 'Ratio', type: 'decimal', min: 1.001, max: 1.004, decimals: 2 }), /no value with 2 decimals/);
+});
@@ -0,0 +1,80 @@
+// Datasets against a stubbed model that invents foreign keys: every key must
+// still resolve to a row of the referenced table
+process.env.LOG_LEVEL = 'silent';
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { planDataset, generateDataset } = require('../lib/dataset');
+const { createRequestSchemas } = require('../lib/schemas');
+const { loadDomainPacks } = require('../lib/domains');
+
+const domains = loadDomainPacks([path.join(__dirname, '..', 'domains')]);
+const { datasetTable } = createRequestSchemas(undefined, { domains });
+
+const tables = [
+  { name: 'Order Items', rows: 12, columns: ['Item ID', 'Order ID', 'Quantity'], key: 'Item ID', foreignKeys: [{ column: 'Order ID', references: 'Orders' }] },
+  {
+    name: 'Orders', rows: 8, columns: ['Order ID', 'Customer ID', 'Customer Name', 'Total'], key: 'Order ID',
+    foreignKeys: [{ column: 'Customer ID', references: 'Customers', copy: { 'Customer Name': 'Name' } }]
+  },
+  { name: 'Customers', rows: 4, columns: ['Customer ID', 'Name'], key: 'Customer ID', domain: 'user' }
+];
+
+// Valid keys for its own rows, but only the first two rows of a child table
+// point at parents that exist; the rest are made up
+const provider = {
+  name: 'stub',
+  async chat({ task: { headers, rows, startRow } }) {
+    const own = headers[0];
+    const answer = Array.from({ length: rows }, (_, i) => {
+      const r = startRow + i;
+      return headers.map(h => {
+        if (h === own) return `${{ 'Customer ID': 'CST', 'Order ID': 'ORD', 'Item ID': 'ITM' }[h]}-${1001 + r}`;
+        if (h === 'Customer ID') return r < 2 ? `CST-${1001 + r}` : `CST-${9000 + r}`;
+        if (h === 'Order ID') return r < 2 ? `ORD-${1001 + r}` : `ord-${r}`;
+        if (h === 'Customer Name') return 'Someone Else';
+        if (h === 'Name') return `Customer ${r}`;
+        return String(r + 1);
+      });
+    });
+    return JSON.stringify({ headers, rows: answer });
+  }
+};
+
+test('every foreign key points at an existing row and copied columns match it', async () => {
+  const plan = planDataset(tables, { tableSchema: datasetTable });
+  assert.deepStrictEqual(plan.map(spec => spec.name), ['Customers', 'Orders', 'Order Items']);
+
+  const dataset = await generateDataset({ provider, model: 'stub', prompt: 'A small shop', plan, seed: 3, domains, maxRepairs: 0 });
+  const byName = new Map(dataset.tables.map(t => [t.name, t]));
+  const column = (table, name) => table.headers.indexOf(name);
+
+  for (const spec of tables) {
+    const child = byName.get(spec.name);
+    for (const fk of spec.foreignKeys || []) {
+      const parent = byName.get(fk.references);
+      const parentSpec = tables.find(t => t.name === fk.references);
+      const parents = new Map(parent.rows.map(row => [row[column(parent, parentSpec.key)], row]));
+      for (const row of child.rows) {
+        const parentRow = parents.get(row[column(child, fk.column)]);
+        assert.ok(parentRow, `${spec.name}.${fk.column} ${row[column(child, fk.column)]}`);
+        for (const [to, from] of Object.entries(fk.copy || {})) {
+          assert.strictEqual(row[column(child, to)], parentRow[column(parent, from)]);
+        }
+      }
+      // The two valid references are kept as the model wrote them
+      assert.deepStrictEqual(child.rows.slice(0, 2).map(row => row[column(child, fk.column)]), [...parents.keys()].slice(0, 2));
+    }
+  }
+  assert.ok(byName.get('Orders').provenance.linkedCells.length > 0);
+  assert.ok(byName.get('Order Items').provenance.linkedCells.length > 0);
+});
+
+test('a table with an unknown domain is rejected when the dataset is planned', () => {
+  const unknown = tables.map(t => (t.name === 'Customers' ? { ...t, domain: 'nope' } : t));
+  assert.throws(() => planDataset(unknown, { tableSchema: datasetTable }), (err) => {
+    assert.strictEqual(err.code, 'VALIDATION_FAILED');
+    assert.deepStrictEqual(err.details.map(d => d.field), ['tables[2].domain']);
+    return true;
+  });
+});
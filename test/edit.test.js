@@ -0,0 +1,97 @@
+// Table edits against a stubbed model: cells that are not being edited come back exactly as sent
+process.env.LOG_LEVEL = 'silent';
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeColumns } = require('../lib/columns');
+const { extendTable, addColumn, regenerateColumn, rewriteCells } = require('../lib/edit');
+
+// Cells with surrounding spaces, separators and non-ASCII, so any trimming or
+// reformatting of an untouched cell shows up
+const table = () => ({
+  headers: ['Name', 'City', 'Score'],
+  rows: [
+    [' Zoë Müller ', 'São Paulo', '1,5'],
+    ['Li  Wei', 'Kraków\t', '007'],
+    ['O\'Brien, Pat', '"Quoted"', ' 42 ']
+  ]
+});
+
+// A provider that answers every call with `answer(task)` as a JSON table and
+// keeps the prompts it was sent
+function stubProvider(answer) {
+  const prompts = [];
+  return {
+    prompts,
+    provider: {
+      name: 'stub',
+      async chat({ messages, task }) {
+        prompts.push(messages[messages.length - 1].content);
+        return JSON.stringify(answer(task));
+      }
+    }
+  };
+}
+
+const options = (provider) => ({ provider, model: 'stub', prompt: 'People and their cities', seed: 1, maxRepairs: 0 });
+
+test('extendTable appends rows and returns the existing ones unchanged', async () => {
+  const { provider } = stubProvider(({ headers, rows }) => ({
+    headers,
+    rows: Array.from({ length: rows }, (_, i) => [`New ${i}`, `Town ${i}`, String(i)])
+  }));
+  const before = table();
+  const result = await extendTable({ ...options(provider), table: before, count: 2 });
+
+  assert.deepStrictEqual(result.headers, table().headers);
+  assert.deepStrictEqual(result.rows.slice(0, 3), table().rows);
+  assert.deepStrictEqual(result.rows.slice(3), [['New 0', 'Town 0', '0'], ['New 1', 'Town 1', '1']]);
+  assert.deepStrictEqual(result.provenance.rows, ['existing', 'existing', 'existing', 'model', 'model']);
+  assert.deepStrictEqual(before, table());
+});
+
+test('addColumn inserts the new column and leaves every other cell as it was', async () => {
+  const { provider } = stubProvider(({ rows }) => ({
+    headers: ['Country'],
+    rows: Array.from({ length: rows }, (_, i) => [`Country ${i}`])
+  }));
+  const [col] = normalizeColumns([{ name: 'Country' }]);
+  const result = await addColumn({ ...options(provider), table: table(), col, index: 1 });
+
+  assert.deepStrictEqual(result.headers, ['Name', 'Country', 'City', 'Score']);
+  assert.deepStrictEqual(result.rows.map(row => row[1]), ['Country 0', 'Country 1', 'Country 2']);
+  assert.deepStrictEqual(result.rows.map(row => row.filter((_, c) => c !== 1)), table().rows);
+  assert.deepStrictEqual(result.provenance.headers, ['existing', 'request', 'existing', 'existing']);
+});
+
+test('regenerateColumn replaces one column without showing the model its old values', async () => {
+  const { provider, prompts } = stubProvider(({ rows }) => ({
+    headers: ['City'],
+    rows: Array.from({ length: rows }, (_, i) => [`City ${i}`])
+  }));
+  const [col] = normalizeColumns([{ name: 'city' }]);
+  const result = await regenerateColumn({ ...options(provider), table: table(), col });
+
+  assert.deepStrictEqual(result.headers, table().headers);
+  assert.deepStrictEqual(result.rows.map(row => row[1]), ['City 0', 'City 1', 'City 2']);
+  assert.deepStrictEqual(result.rows.map(row => [row[0], row[2]]), table().rows.map(row => [row[0], row[2]]));
+  assert.ok(prompts.every(p => !p.includes('São Paulo') && !p.includes('Kraków')));
+});
+
+test('rewriteCells takes only the requested cells from the model', async () => {
+  // The model answers with every cell changed, not just the nulls it was sent
+  const { provider, prompts } = stubProvider(({ rows, cols }) => ({
+    headers: ['Name', 'City', 'Score'],
+    rows: Array.from({ length: rows }, (_, r) => Array.from({ length: cols }, (_, c) => `changed ${r}.${c}`))
+  }));
+  const result = await rewriteCells({ ...options(provider), table: table(), cells: [[1, 0], [2, 2]] });
+
+  const expected = table().rows;
+  expected[1][0] = 'changed 0.0';
+  expected[2][2] = 'changed 1.2';
+  assert.deepStrictEqual(result.rows, expected);
+  assert.deepStrictEqual(result.headers, table().headers);
+  assert.deepStrictEqual(result.provenance.rows, ['existing', 'model', 'model']);
+  // Only the affected rows are sent, with the cells to rewrite as null
+  assert.match(prompts[0], /\[null,"Kraków\\t","007"\]/);
+  assert.ok(!prompts[0].includes('Zoë'));
+});
@@ -0,0 +1,38 @@
+// extractJson against the malformed model answers in fixtures/granite-outputs.json
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractJson } = require('../lib/extract');
+const corpus = require('./fixtures/granite-outputs.json');
+
+for (const c of corpus.tables) {
+  test(`extractJson: ${c.name}`, () => {
+    const result = extractJson(c.text, { expect: 'object' });
+    if (c.value === null) {
+      assert.strictEqual(result.value, undefined);
+      assert.ok(result.error);
+      return;
+    }
+    assert.deepStrictEqual(result.value, c.value);
+    for (const code of c.repairs) assert.ok(result.repairs.includes(code), `expected repair ${code}, got ${result.repairs}`);
+  });
+}
+
+for (const c of corpus.lists.filter(c => c.repairs)) {
+  test(`extractJson array: ${c.name}`, () => {
+    const result = extractJson(c.text, { expect: 'array', accept: arr => arr.length > 0 });
+    assert.ok(Array.isArray(result.value));
+    for (const code of c.repairs) assert.ok(result.repairs.includes(code), `expected repair ${code}, got ${result.repairs}`);
+  });
+}
+
+test('extractJson marks containers cut off by the end of the text', () => {
+  const result = extractJson('{"rows": [["a", "b"], ["c"', { expect: 'object' });
+  assert.ok(result.incomplete.has(result.value.rows));
+  assert.ok(!result.incomplete.has(result.value.rows[0]));
+});
+
+test('extractJson passes the candidate position to accept', () => {
+  const seen = [];
+  extractJson('[1] Apple', { expect: 'array', accept: (arr, at) => seen.push(at.text.slice(at.end)) && false });
+  assert.deepStrictEqual(seen, [' Apple']);
+});
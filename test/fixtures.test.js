@@ -0,0 +1,104 @@
+// Upstream fixtures: proxy-server.js records IAM and watsonx calls against a
+// stubbed upstream, then replays them without credentials or network
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const SECRETS = { apiKey: 'secret-api-key', projectId: 'secret-project', token: 'live-iam-token', refresh: 'live-refresh-token' };
+
+// IAM and watsonx in one stub; chat only accepts the token IAM handed out
+const upstream = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    res.setHeader('Content-Type', 'application/json');
+    if (req.url === '/identity/token') {
+      return res.end(JSON.stringify({
+        access_token: SECRETS.token,
+        refresh_token: SECRETS.refresh,
+        expires_in: 3600,
+        expiration: Math.floor(Date.now() / 1000) + 3600
+      }));
+    }
+    if (req.headers.authorization !== `Bearer ${SECRETS.token}`) {
+      res.statusCode = 401;
+      return res.end('{}');
+    }
+    res.end(JSON.stringify({ choices: [{ message: { content: 'Apple\nBanana\nCherry' } }] }));
+  });
+});
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+const servers = [];
+
+// proxy-server.js in a child process with `env`; resolves to its base URL
+function startServer(env) {
+  const child = spawn(process.execPath, ['-e', `
+    const app = require(${JSON.stringify(path.join(__dirname, '..', 'proxy-server'))});
+    const server = app.listen(0, '127.0.0.1', () => console.log('PORT ' + server.address().port));
+  `], {
+    env: { PATH: process.env.PATH, NODE_PATH: process.env.NODE_PATH || '', LOG_LEVEL: 'silent', UPSTREAM_FIXTURES_DIR: dir, GENERATE_MAX_TOP_UPS: '0', ...env },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  servers.push(child);
+  return new Promise((resolve, reject) => {
+    let out = '';
+    child.stdout.on('data', chunk => {
+      out += chunk;
+      const port = out.match(/PORT (\d+)/);
+      if (port) resolve(`http://127.0.0.1:${port[1]}`);
+    });
+    child.on('exit', code => reject(new Error(`proxy-server exited with ${code}`)));
+  });
+}
+
+async function generate(base, prompt) {
+  const res = await fetch(`${base}/generate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Anon-Id': 'fixtures' },
+    body: JSON.stringify({ prompt, count: 3 })
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test.after(() => {
+  servers.forEach(child => child.kill());
+  upstream.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('record saves redacted fixtures, replay answers from them without a key', async () => {
+  await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+  const stub = `http://127.0.0.1:${upstream.address().port}`;
+  const recording = await startServer({
+    UPSTREAM_FIXTURES: 'record',
+    WATSON_API_KEY: SECRETS.apiKey,
+    PROJECT_ID: SECRETS.projectId,
+    IAM_URL: `${stub}/identity/token`,
+    WATSONX_URL: stub
+  });
+  const recorded = await generate(recording, 'Fruits');
+  assert.strictEqual(recorded.status, 200);
+  assert.deepStrictEqual(recorded.body.data, ['Apple', 'Banana', 'Cherry']);
+
+  const files = fs.readdirSync(dir).sort();
+  assert.deepStrictEqual(files.map(f => f.split('-')[0]), ['iam', 'watsonx']);
+  for (const file of files) {
+    const saved = fs.readFileSync(path.join(dir, file), 'utf8');
+    for (const secret of Object.values(SECRETS)) assert.ok(!saved.includes(secret), `${file} contains ${secret}`);
+    assert.ok(saved.includes('<redacted>'), file);
+  }
+
+  // No upstream any more, no API key and another project
+  await new Promise(resolve => upstream.close(resolve));
+  const replaying = await startServer({ UPSTREAM_FIXTURES: 'replay', PROJECT_ID: 'another-project', WATSONX_URL: stub });
+  assert.deepStrictEqual(await generate(replaying, 'Fruits'), recorded);
+
+  const missing = await generate(replaying, 'Vegetables');
+  assert.strictEqual(missing.status, 502);
+  assert.strictEqual(missing.body.code, 'NO_FIXTURE');
+});
@@ -0,0 +1,56 @@
+// CSV and TSV export: quoting, escaping and cells a spreadsheet would run as formulas
+const test = require('node:test');
+const assert = require('node:assert');
+const { exportTable } = require('../lib/formats');
+
+const csv = (headers, rows) => exportTable('csv', { headers, rows }).body;
+const tsv = (headers, rows) => exportTable('tsv', { headers, rows }).body;
+
+test('CSV quotes fields with delimiters, quotes, line breaks or edge spaces', () => {
+  const body = csv(['Name', 'Note'], [
+    ['Smith, Jo', 'said "hi"'],
+    ['multi\nline', 'carriage\r\nreturn'],
+    [' padded', 'plain'],
+    ['tab\there', null]
+  ]);
+  assert.strictEqual(body, [
+    'Name,Note',
+    '"Smith, Jo","said ""hi"""',
+    '"multi\nline","carriage\r\nreturn"',
+    '" padded",plain',
+    'tab\there,',
+    ''
+  ].join('\r\n'));
+});
+
+test('TSV escapes tabs, line breaks and backslashes inside cells', () => {
+  const body = tsv(['Path', 'Text'], [
+    ['C:\\temp', 'a\tb'],
+    ['"quoted", ok', 'line\r\nbreak']
+  ]);
+  assert.strictEqual(body, 'Path\tText\nC:\\\\temp\ta\\tb\n"quoted", ok\tline\\r\\nbreak\n');
+  // Every line still has exactly one delimiter
+  assert.ok(body.trim().split('\n').every(line => line.split('\t').length === 2));
+});
+
+test('cells that would start a formula get a leading quote in CSV and TSV', () => {
+  const cells = ['=SUM(A1:A2)', '+1+2', '-2+3', '@cmd', '\t=1', '=HYPERLINK("http://x","y")'];
+  assert.strictEqual(csv(['A'], cells.map(c => [c])), [
+    'A',
+    "'=SUM(A1:A2)",
+    "'+1+2",
+    "'-2+3",
+    "'@cmd",
+    "'\t=1",
+    '"\'=HYPERLINK(""http://x"",""y"")"',
+    ''
+  ].join('\r\n'));
+  assert.deepStrictEqual(tsv(['A'], cells.map(c => [c])).split('\n').slice(1, -1),
+    ["'=SUM(A1:A2)", "'+1+2", "'-2+3", "'@cmd", "'\\t=1", '\'=HYPERLINK("http://x","y")']);
+});
+
+test('signed numbers and amounts are exported as they are', () => {
+  const cells = ['-5', '+3.25', '-$1,234.50', '-5,00\u00a0€', '-12%', 'a=b', 'x-1'];
+  assert.deepStrictEqual(csv(['A'], cells.map(c => [c])).split('\r\n').slice(1, -1), ['-5', '+3.25', '"-$1,234.50"', '"-5,00\u00a0€"', '-12%', 'a=b', 'x-1']);
+  assert.deepStrictEqual(tsv(['A'], cells.map(c => [c])).split('\n').slice(1, -1), cells);
+});
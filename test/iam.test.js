@@ -0,0 +1,70 @@
+// IAM tokens with a stubbed fetch: one shared refresh, short-lived tokens and the retry on 401
+process.env.LOG_LEVEL = 'silent';
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTokenManager } = require('../lib/iam');
+const { createWatsonxProvider } = require('../lib/providers/watsonx');
+
+const IAM_URL = 'https://iam.test/identity/token';
+const WATSONX_URL = 'https://us-south.ml.cloud.ibm.com';
+
+const reply = (status, body) => ({ ok: status < 400, status, json: async () => body, text: async () => JSON.stringify(body) });
+
+// A fetch that hands out token-1, token-2, ... from IAM (after a tick, so
+// concurrent callers overlap) and answers watsonx with `chat(token)`
+function stubFetch({ expiresIn = 3600, chat = () => reply(200, { choices: [{ message: { content: 'ok' } }] }) } = {}) {
+  const calls = { iam: 0, chat: [] };
+  const fetch = async (url, options) => {
+    if (url === IAM_URL) {
+      calls.iam++;
+      await new Promise(resolve => setImmediate(resolve));
+      return reply(200, { access_token: `token-${calls.iam}`, expires_in: expiresIn });
+    }
+    const token = options.headers.Authorization.replace('Bearer ', '');
+    calls.chat.push(token);
+    return chat(token);
+  };
+  return { fetch, calls };
+}
+
+test('concurrent callers share one IAM request', async (t) => {
+  const { fetch, calls } = stubFetch();
+  const manager = createTokenManager({ apiKey: 'key', iamUrl: IAM_URL, fetch });
+  t.after(() => manager.stop());
+
+  const tokens = await Promise.all(Array.from({ length: 5 }, () => manager.getToken()));
+  assert.deepStrictEqual(tokens, Array(5).fill('token-1'));
+  assert.strictEqual(await manager.getToken(), 'token-1');
+  assert.strictEqual(calls.iam, 1);
+});
+
+test('a token that lives shorter than the refresh margin is still reused', async (t) => {
+  const { fetch, calls } = stubFetch({ expiresIn: 300 });
+  const manager = createTokenManager({ apiKey: 'key', iamUrl: IAM_URL, refreshMarginSec: 600, fetch });
+  t.after(() => manager.stop());
+
+  await manager.getToken();
+  assert.strictEqual(await manager.getToken(), 'token-1');
+  assert.strictEqual(calls.iam, 1);
+});
+
+test('watsonx retries a 401 once with a refreshed server token', async (t) => {
+  const { fetch, calls } = stubFetch({ chat: (token) => (token === 'token-1' ? reply(401, {}) : reply(200, { choices: [{ message: { content: 'ok' } }] })) });
+  const tokenManager = createTokenManager({ apiKey: 'key', iamUrl: IAM_URL, fetch });
+  t.after(() => tokenManager.stop());
+  const watsonx = createWatsonxProvider({ tokenManager, projectId: 'p', endpoint: WATSONX_URL, fetch });
+
+  assert.strictEqual(await watsonx.chat({ messages: [] }), 'ok');
+  assert.deepStrictEqual(calls.chat, ['token-1', 'token-2']);
+  assert.strictEqual(calls.iam, 2);
+});
+
+test('a second 401 is not retried again', async (t) => {
+  const { fetch, calls } = stubFetch({ chat: () => reply(401, {}) });
+  const tokenManager = createTokenManager({ apiKey: 'key', iamUrl: IAM_URL, fetch });
+  t.after(() => tokenManager.stop());
+  const watsonx = createWatsonxProvider({ tokenManager, projectId: 'p', endpoint: WATSONX_URL, fetch });
+
+  await assert.rejects(watsonx.chat({ messages: [] }), { code: 'UPSTREAM_AUTH' });
+  assert.deepStrictEqual(calls.chat, ['token-1', 'token-2']);
+});
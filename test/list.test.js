@@ -0,0 +1,11 @@
+// normalizeToList against the malformed model answers in fixtures/granite-outputs.json
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeToList } = require('../lib/list');
+const corpus = require('./fixtures/granite-outputs.json');
+
+for (const c of corpus.lists) {
+  test(`normalizeToList: ${c.name}`, () => {
+    assert.deepStrictEqual(normalizeToList(c.text), c.items);
+  });
+}
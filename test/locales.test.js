@@ -0,0 +1,38 @@
+// Localized fallback headers: every header a shipped domain pack can produce
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { SUPPORTED_LOCALES, resolveLocale } = require('../lib/locales');
+const { loadDomainPacks } = require('../lib/domains');
+const { createFallbackGenerator } = require('../lib/fallback');
+
+const domains = loadDomainPacks([path.join(__dirname, '..', 'domains')]);
+const translated = SUPPORTED_LOCALES.filter(tag => !tag.startsWith('en-'));
+
+test('every header of the shipped domain packs has a label in every locale', () => {
+  for (const tag of translated) {
+    const { headers } = resolveLocale(tag).data;
+    for (const { name, headers: packHeaders } of domains.list()) {
+      const missing = packHeaders.filter(h => !Object.hasOwn(headers, h));
+      assert.deepStrictEqual(missing, [], `${tag} ${name}`);
+    }
+  }
+});
+
+test('a fallback table is localized throughout, padding columns included', () => {
+  const ja = resolveLocale('ja-JP');
+  for (const { name, headers: packHeaders } of domains.list()) {
+    const headers = createFallbackGenerator({ seed: 1, domains, domain: name, locale: ja }).headers(packHeaders.length + 1);
+    assert.deepStrictEqual(headers, [...packHeaders.map(h => ja.data.headers[h]), `列${packHeaders.length + 1}`]);
+  }
+});
+
+test('localized headers still get their pack values', () => {
+  const de = resolveLocale('de-DE');
+  const fallback = createFallbackGenerator({ seed: 1, domains, domain: 'inventory', locale: de });
+  const headers = fallback.headers(3);
+  assert.deepStrictEqual(headers, ['Artikel-ID', 'SKU', 'Artikelname']);
+  const [row] = fallback.rows(headers, 1);
+  assert.match(row[0], /^ITM-/);
+  assert.match(row[1], /^[A-Z]{3}-\d{5}$/);
+});
@@ -0,0 +1,178 @@
+// The generation routes of proxy-server.js against a stubbed OpenAI-compatible
+// model: quota charged when the client goes away early, the IP it is counted
+// against, the seed a table reports, the sink record of an aborted request and
+// requests rejected before any quota is used
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every model answer is a fresh batch of BATCH rows. The first call of a
+// request is answered at once; later ones wait until the test calls release().
+const BATCH = 20;
+let served = 0;
+let waiting = [];
+let onHeld = () => {};
+const upstream = http.createServer((req, res) => {
+  req.resume();
+  req.on('end', () => {
+    const answer = () => {
+      const rows = Array.from({ length: BATCH }, () => { served++; return [`a${served}`, `b${served}`]; });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ choices: [{ message: { content: JSON.stringify({ headers: ['A', 'B'], rows }) } }] }));
+    };
+    if (served % (2 * BATCH) === 0) return answer();
+    waiting.push(answer);
+    onHeld();
+  });
+});
+const release = () => { waiting.splice(0).forEach(answer => answer()); };
+
+let server;
+let base;
+const sinkDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quota-sink-'));
+
+test.before(async () => {
+  await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+  Object.assign(process.env, {
+    LOG_LEVEL: 'silent',
+    LLM_PROVIDER: 'openai',
+    OPENAI_BASE_URL: `http://127.0.0.1:${upstream.address().port}`,
+    TABLE_BATCH_ROWS: String(BATCH),
+    TABLE_MAX_REPAIRS: '0',
+    ANALYTICS_SINK: 'ndjson',
+    ANALYTICS_SINK_DIR: sinkDir
+  });
+  const app = require('../proxy-server');
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  release();
+  if (server) server.close();
+  upstream.close();
+  fs.rmSync(sinkDir, { recursive: true, force: true });
+});
+
+// POST /generateTable for two batches as `anonId`. `received` resolves once
+// the response text includes `marker`.
+function startTable(anonId, { stream, marker = '' }) {
+  const req = http.request(`${base}/generateTable`, { method: 'POST', headers: { 'Content-Type': 'application/json', 'X-Anon-Id': anonId } });
+  req.on('error', () => {});
+  const received = new Promise(resolve => req.on('response', res => {
+    let text = '';
+    res.on('error', () => {}).on('data', chunk => {
+      text += chunk;
+      if (text.includes(marker)) resolve();
+    });
+  }));
+  req.end(JSON.stringify({ prompt: 'Pairs', rows: 2 * BATCH, cols: 2, stream }));
+  return { req, received };
+}
+
+// The sink's generation records for `anonId`, polled until there is one or a second has passed
+async function generations(anonId) {
+  let found = [];
+  for (let i = 0; i < 50 && !found.length; i++) {
+    if (i) await new Promise(resolve => setTimeout(resolve, 20));
+    found = fs.readdirSync(sinkDir)
+      .flatMap(name => fs.readFileSync(path.join(sinkDir, name), 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line)))
+      .filter(r => r.type === 'generation' && r.anonId === anonId);
+  }
+  return found;
+}
+
+const nextHeld = () => new Promise(resolve => { onHeld = resolve; });
+
+// The body of GET /quota
+async function quota(query = '', headers = {}) {
+  const res = await new Promise(resolve => http.get(`${base}/quota${query}`, { headers }, resolve));
+  let body = '';
+  for await (const chunk of res) body += chunk;
+  return JSON.parse(body);
+}
+
+// rows.used of GET /quota, polled until it is `expected` or a second has passed
+async function usedRows(anonId, expected) {
+  let rows;
+  for (let i = 0; i < 50; i++) {
+    rows = (await quota(`?anonId=${anonId}`)).rows.used;
+    if (rows === expected) break;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return rows;
+}
+
+test('a stream cancelled after its first batch is charged for the rows it sent', async () => {
+  const held = nextHeld();
+  const { req, received } = startTable('cancel-stream', { stream: true, marker: 'event: rows' });
+  await Promise.all([received, held]);
+  req.destroy();
+  assert.strictEqual(await usedRows('cancel-stream', BATCH), BATCH);
+  release();
+  const [record] = await generations('cancel-stream');
+  assert.deepStrictEqual([record.status, record.rows], ['aborted', BATCH]);
+});
+
+test('a JSON client that disconnects is charged for the batches that still finish', async () => {
+  const held = nextHeld();
+  const { req } = startTable('gone-json', { stream: false });
+  await held;
+  req.destroy();
+  await new Promise(resolve => setTimeout(resolve, 50));
+  release();
+  assert.strictEqual(await usedRows('gone-json', 2 * BATCH), 2 * BATCH);
+  const [record] = await generations('gone-json');
+  assert.deepStrictEqual([record.status, record.rows], ['aborted', 2 * BATCH]);
+});
+
+test('the per-IP quota uses the address the proxy saw, not the one a client claims', async () => {
+  onHeld = release;
+  const forwarded = (claimed) => ({ 'Content-Type': 'application/json', 'X-Forwarded-For': `${claimed}, 198.51.100.4` });
+  const res = await new Promise(resolve => {
+    http.request(`${base}/generateTable`, { method: 'POST', headers: forwarded('203.0.113.1') }, resolve)
+      .end(JSON.stringify({ prompt: 'Pairs', rows: BATCH, cols: 2 }));
+  });
+  res.resume();
+  assert.strictEqual(res.statusCode, 200);
+
+  const status = await quota('', forwarded('203.0.113.2'));
+  assert.strictEqual(status.client, 'ip');
+  assert.strictEqual(status.rows.used, BATCH);
+  assert.strictEqual(status.ip.rows.used, BATCH);
+});
+
+test('a table reports the seed of its fallback rows, as JSON and in the stream', async () => {
+  onHeld = release;
+  const post = (body) => new Promise(resolve => {
+    http.request(`${base}/generateTable`, { method: 'POST', headers: { 'Content-Type': 'application/json' } }, async res => {
+      let text = '';
+      for await (const chunk of res) text += chunk;
+      resolve(text);
+    }).end(JSON.stringify({ prompt: 'Pairs', rows: BATCH, cols: 2, ...body }));
+  });
+
+  assert.strictEqual(JSON.parse(await post({ seed: 42 })).seed, 42);
+  const done = (await post({ seed: 42, stream: true })).split('event: done\ndata: ')[1];
+  assert.strictEqual(JSON.parse(done.split('\n')[0]).seed, 42);
+  assert.strictEqual(typeof JSON.parse(await post({})).seed, 'number');
+});
+
+test('an unknown domain is rejected before the request uses any quota or rate', async () => {
+  const res = await new Promise(resolve => {
+    http.request(`${base}/generateTable`, { method: 'POST', headers: { 'Content-Type': 'application/json', 'X-Anon-Id': 'bad-domain' } }, resolve)
+      .end(JSON.stringify({ prompt: 'Pairs', rows: BATCH, cols: 2, domain: 'nope' }));
+  });
+  let body = '';
+  for await (const chunk of res) body += chunk;
+  assert.strictEqual(res.statusCode, 400);
+  assert.deepStrictEqual(JSON.parse(body).details.map(d => d.field), ['domain']);
+
+  const status = await quota('?anonId=bad-domain');
+  assert.strictEqual(status.rows.used, 0);
+  assert.strictEqual(status.rate.available, status.rate.burst);
+});
@@ -0,0 +1,75 @@
+// Rate limiter: per-IP limits across anonIds and quota reservations
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStore, createRateLimiter } = require('../lib/ratelimit');
+
+const request = (anonId, ip = '203.0.113.7') => ({
+  body: anonId ? { anonId } : {},
+  query: {},
+  headers: {},
+  ip,
+  get: () => undefined
+});
+
+const off = { burst: 0, perMinute: 0, dailyRows: 0, dailyCells: 0 };
+
+function limiterWith(limits, ipLimits = off) {
+  const store = createMemoryStore();
+  const limiter = createRateLimiter({ store, limits, ipLimits });
+  return { limiter, stop: () => store.stop() };
+}
+
+test('a new anonId per request does not get around the per-IP quota', async () => {
+  const { limiter, stop } = limiterWith({ ...off, dailyRows: 100 }, { ...off, dailyRows: 10 });
+  const first = await limiter.check(request('a1'), { rows: 6 });
+  await limiter.settle(first, { rows: 6 });
+  await assert.rejects(limiter.check(request('a2'), { rows: 6 }), { code: 'QUOTA_EXCEEDED', limit: 'rows' });
+  // Another IP has its own allowance
+  await limiter.check(request('a3', '198.51.100.1'), { rows: 6 });
+  stop();
+});
+
+test('a new anonId per request does not get around the per-IP rate', async () => {
+  const { limiter, stop } = limiterWith({ ...off, burst: 5, perMinute: 1 }, { ...off, burst: 2, perMinute: 1 });
+  await limiter.check(request('a1'));
+  await limiter.check(request('a2'));
+  await assert.rejects(limiter.check(request('a3')), { code: 'RATE_LIMITED' });
+  stop();
+});
+
+test('a request the per-IP rate turns away does not use up the client\'s rate', async () => {
+  const { limiter, stop } = limiterWith({ ...off, burst: 2, perMinute: 1 }, { ...off, burst: 1, perMinute: 1 });
+  await limiter.check(request('a1'));
+  await assert.rejects(limiter.check(request('a1')), { code: 'RATE_LIMITED' });
+  assert.strictEqual((await limiter.status(request('a1'))).rate.available, 1);
+  stop();
+});
+
+test('concurrent requests cannot overshoot the quota', async () => {
+  const { limiter, stop } = limiterWith({ ...off, dailyCells: 100 });
+  const results = await Promise.allSettled(Array.from({ length: 5 }, () => limiter.check(request('a1'), { cells: 40 })));
+  assert.strictEqual(results.filter(r => r.status === 'fulfilled').length, 2);
+  assert.strictEqual((await limiter.status(request('a1'))).cells.used, 80);
+  stop();
+});
+
+test('settle keeps what was generated and release gives everything back', async () => {
+  const { limiter, stop } = limiterWith({ ...off, dailyRows: 10, dailyCells: 100 });
+  const done = await limiter.check(request('a1'), { rows: 5, cells: 50 });
+  await limiter.settle(done, { rows: 3, cells: 30 });
+  const failed = await limiter.check(request('a1'), { rows: 5, cells: 50 });
+  await limiter.release(failed);
+  // Settling or releasing twice changes nothing
+  await limiter.release(done);
+  const status = await limiter.status(request('a1'));
+  assert.deepStrictEqual([status.rows.used, status.cells.used], [3, 30]);
+  stop();
+});
+
+test('a rejected unit leaves nothing reserved', async () => {
+  const { limiter, stop } = limiterWith({ ...off, dailyRows: 100, dailyCells: 10 });
+  await assert.rejects(limiter.check(request('a1'), { rows: 5, cells: 50 }), { code: 'QUOTA_EXCEEDED', limit: 'cells' });
+  const status = await limiter.status(request('a1'));
+  assert.deepStrictEqual([status.rows.used, status.cells.used], [0, 0]);
+  stop();
+});
@@ -0,0 +1,35 @@
+// Analytics sink: how GET /analytics/summary counts the outcomes of generations
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createNdjsonSink, summarize } = require('../lib/sink');
+
+test('client errors and aborted requests are not counted as failures', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sink-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const sink = createNdjsonSink({ dir });
+  const route = '/generateTable';
+  sink.writeGeneration({ route, status: 200, rows: 10, cells: 20 });
+  sink.writeGeneration({ route, status: 200, rows: 30, cells: 60 });
+  sink.writeGeneration({ route, status: 400 });
+  sink.writeGeneration({ route, status: 429 });
+  sink.writeGeneration({ route, status: 502, rows: 4, cells: 8 });
+  sink.writeGeneration({ route, status: 'aborted', rows: 5, cells: 10 });
+
+  const day = new Date().toISOString().slice(0, 10);
+  const { generations } = await summarize(sink, { from: day, to: day });
+  assert.deepStrictEqual(generations[route], {
+    requests: 6,
+    failures: 1,
+    failureRate: 0.25,
+    clientErrors: 2,
+    aborted: 1,
+    rows: 49,
+    cells: 98,
+    avgRows: 20,
+    maxRows: 30,
+    avgDurationMs: 0
+  });
+});